@@ -0,0 +1,6 @@
+// Runtime settings for a built dashboard; edit dist/config.js after
+// `npm run build` instead of rebuilding. See src/config.js.
+window.salesConfig = {
+  // e.g. 'https://api.example.com'; empty for the origin serving this page
+  apiBaseUrl: ''
+};
@@ -0,0 +1,35 @@
+// Adds a dashboard account, or resets an existing one's password and role.
+//
+//   npm run user:add -- <username> <owner|cashier|viewer>
+//
+// The password is prompted for (or read from USER_PASSWORD) and stored as
+// an scrypt hash in USERS_FILE.
+import dotenv from 'dotenv';
+import { createInterface } from 'node:readline/promises';
+import { ROLES, isRole } from '../src/shared/roles.js';
+import { createUserStore, hashPassword } from '../server/users.js';
+
+dotenv.config();
+
+const MIN_PASSWORD_LENGTH = 8;
+const [username, role] = process.argv.slice(2);
+
+if (!username || !isRole(role)) {
+  console.error(`Usage: npm run user:add -- <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+let password = process.env.USER_PASSWORD;
+if (!password) {
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  password = await prompt.question(`Password for ${username}: `);
+  prompt.close();
+}
+if (password.length < MIN_PASSWORD_LENGTH) {
+  console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  process.exit(1);
+}
+
+const users = createUserStore({ filePath: process.env.USERS_FILE || 'data/users.json' });
+await users.save({ username, role, passwordHash: await hashPassword(password) });
+console.log(`✅ Saved ${role} "${username}" to ${users.filePath}`);
@@ -1,227 +1,201 @@
 import dotenv from 'dotenv';
 import express from 'express';
-import axios from 'axios';
 import cors from 'cors';
+import { randomBytes } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { authenticate, createAuth, requirePermission } from './server/auth.js';
+import { createResponseCache, invalidateOnWrite } from './server/cache.js';
+import { ForbiddenError, errorHandler, notFoundHandler } from './server/errors.js';
+import { createEventHub } from './server/events.js';
+import { createIdempotencyStore } from './server/idempotency.js';
+import { createSalesRouter } from './server/salesRouter.js';
+import { createSettingsStore } from './server/settings.js';
+import { createStores } from './server/storage/index.js';
+import { createUserStore } from './server/users.js';
 
 dotenv.config();
 
 const app = express();
 
-// ✅ Allow both localhost at Vercel app
-const allowedOrigins = [
-  'http://localhost:5173',
-  'https://salet-qey5.vercel.app'
-];
-
-app.use(cors({
-  origin: function (origin, callback) {
-    if (!origin || allowedOrigins.includes(origin) || !origin) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
+// Dashboards served from another origin (the Vite dev server, a static
+// host) must be listed in CORS_ORIGINS, comma-separated. With
+// SERVE_CLIENT=true the dashboard's own origin is always allowed: browsers
+// send an Origin header on same-origin POST, PATCH and DELETE requests too.
+const allowedOrigins = (process.env.CORS_ORIGINS ?? 'http://localhost:5173,https://salet-qey5.vercel.app')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+const servesClient = process.env.SERVE_CLIENT === 'true';
+
+app.use(cors((req, callback) => {
+  const origin = req.get('origin');
+  const ownOrigin = `${req.protocol}://${req.get('host')}`;
+  // Requests without an Origin come from the same origin or not from a browser
+  if (!origin || allowedOrigins.includes(origin) || (servesClient && origin === ownOrigin)) {
+    // Lets the dashboard read the file name of exports
+    callback(null, { origin: true, exposedHeaders: ['Content-Disposition'] });
+  } else {
+    callback(new ForbiddenError('Not allowed by CORS'));
   }
 }));
 
-app.use(express.json());
-
-const NOTION_TOKEN = process.env.NOTION_TOKEN;
-const RAW_DATABASE_ID = process.env.NOTION_DATABASE_ID;
-
-function formatNotionId(id) {
-  if (!id) return null;
-  const cleanId = id.replace(/-/g, '');
-  if (cleanId.length !== 32) return id;
-  return `${cleanId.substring(0, 8)}-${cleanId.substring(8, 12)}-${cleanId.substring(12, 16)}-${cleanId.substring(16, 20)}-${cleanId.substring(20)}`;
-}
-
-const NOTION_DATABASE_ID = formatNotionId(RAW_DATABASE_ID);
+// Large enough for a full CSV import chunk
+app.use(express.json({ limit: '1mb' }));
 
-// Validate env
-if (!NOTION_TOKEN) {
-  console.error('❌ Missing NOTION_TOKEN in .env file');
-  process.exit(1);
-}
-if (!NOTION_DATABASE_ID) {
-  console.error('❌ Missing NOTION_DATABASE_ID in .env file');
+const settings = createSettingsStore({ filePath: process.env.SETTINGS_FILE || 'data/settings.json' });
+let stores;
+try {
+  await settings.load();
+  stores = createStores(process.env, { settings });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-console.log('✅ Environment variables loaded:');
-console.log('   NOTION_TOKEN:', NOTION_TOKEN ? 'Present' : 'Missing');
-console.log('   Raw Database ID:', RAW_DATABASE_ID);
-console.log('   Formatted Database ID:', NOTION_DATABASE_ID);
+stores.list.forEach(({ id, name, storage }) => {
+  console.log(`✅ Store "${name}" (${id}): ${storage.label}`);
+  Object.entries(storage.describe()).forEach(([key, value]) => {
+    console.log(`   ${key}:`, value);
+  });
 
-// Debug endpoint
-app.get('/proxy/debug', (req, res) => {
-  res.json({
-    rawDatabaseId: RAW_DATABASE_ID,
-    formattedDatabaseId: NOTION_DATABASE_ID,
-    timestamp: new Date().toISOString()
+  // A renamed or retyped Notion column would otherwise only show up as
+  // "Unknown" values or failed writes
+  storage.checkSchema?.().then((problems) => {
+    if (Object.keys(problems).length === 0) {
+      console.log(`✅ Store "${name}": Notion properties match`);
+      return;
+    }
+    console.error(`❌ Store "${name}": fix the property mapping on the setup screen`);
+    Object.values(problems).forEach((problem) => console.error(`   ${problem}`));
+  }, (error) => {
+    console.error(`❌ Store "${name}": could not read the database schema:`, error.message);
   });
 });
 
-// Test Notion DB connection
-app.get('/proxy/test-database', async (req, res) => {
-  try {
-    const response = await axios.get(
-      `https://api.notion.com/v1/databases/${NOTION_DATABASE_ID}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${NOTION_TOKEN}`,
-          'Notion-Version': '2022-06-28',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    res.json({
-      status: 'success',
-      message: 'Database connection successful',
-      data: {
-        title: response.data.title[0]?.plain_text,
-        id: response.data.id,
-        properties: Object.keys(response.data.properties)
-      }
-    });
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      status: 'error',
-      message: error.response?.data?.message || 'Failed to access database',
-      details: error.response?.data
-    });
+const users = createUserStore({ filePath: process.env.USERS_FILE || 'data/users.json' });
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️ AUTH_SECRET is not set; using a random one, so sessions end when the server restarts');
+}
+const auth = createAuth({
+  secret: process.env.AUTH_SECRET || randomBytes(32).toString('hex'),
+  users,
+  tokenTtl: Number(process.env.AUTH_TOKEN_TTL_MS) || undefined
+});
+users.count().then((count) => {
+  if (count === 0) {
+    console.warn(`⚠️ No users in ${users.filePath}; add one with: npm run user:add -- <username> owner`);
   }
+}, (error) => {
+  console.error(`❌ Could not read ${users.filePath}:`, error.message);
 });
 
-// Health check
+const responseCache = createResponseCache({ ttl: Number(process.env.CACHE_TTL_MS) || undefined });
+
+// Health check (public, so it reveals nothing about the setup)
 app.get('/proxy/health', (req, res) => {
   res.json({
+    success: true,
     status: 'healthy',
-    timestamp: new Date().toISOString(),
-    databaseId: NOTION_DATABASE_ID,
-    rawDatabaseId: RAW_DATABASE_ID
+    timestamp: new Date().toISOString()
   });
 });
 
-// Create page
-app.post('/proxy/notion', async (req, res) => {
-  try {
-    const { amount, customerName, productName, date, paymentMethod } = req.body;
-    if (!amount || !customerName || !productName || !date || !paymentMethod) {
-      return res.status(400).json({ status: 'error', message: 'Missing required fields' });
-    }
+app.post('/proxy/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  const session = await auth.login(username, password);
+  res.json({ success: true, ...session });
+});
 
-    const notionData = {
-      parent: { database_id: NOTION_DATABASE_ID },
-      properties: {
-        'Amount': { number: parseFloat(amount) },
-        'Name': { title: [{ text: { content: customerName } }] },
-        'Product Name': { rich_text: [{ text: { content: productName } }] },
-        'Order Date': { date: { start: date } },
-        'Select': { select: { name: paymentMethod } }
-      }
-    };
-
-    const response = await axios.post(
-      'https://api.notion.com/v1/pages',
-      notionData,
-      {
-        headers: {
-          'Authorization': `Bearer ${NOTION_TOKEN}`,
-          'Notion-Version': '2022-06-28',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    res.json({
-      status: 'success',
-      message: 'Data successfully saved to Notion',
-      pageId: response.data.id
-    });
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      status: 'error',
-      message: error.response?.data?.message || 'Failed to create page in Notion',
-      details: error.response?.data
-    });
-  }
+// Everything below needs a logged-in user
+app.use('/proxy', authenticate(auth));
+app.use('/proxy', invalidateOnWrite(responseCache));
+
+app.get('/proxy/auth/me', (req, res) => {
+  res.json({ success: true, user: req.user });
 });
 
-// Fetch data
-app.get('/proxy/notion', async (req, res) => {
-  try {
-    const response = await axios.post(
-      `https://api.notion.com/v1/databases/${NOTION_DATABASE_ID}/query`,
-      { sorts: [{ property: 'Order Date', direction: 'descending' }] },
-      {
-        headers: {
-          'Authorization': `Bearer ${NOTION_TOKEN}`,
-          'Notion-Version': '2022-06-28',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const rows = response.data.results;
-    const monthly = [];
-    const products = [];
-    const orders = [];
-
-    rows.forEach((page, index) => {
-      const amount = page.properties["Amount"]?.number || 0;
-      const customerName = page.properties["Name"]?.title[0]?.text?.content || "Unknown";
-      const productName = page.properties["Product Name"]?.rich_text[0]?.text?.content || "Unknown";
-      const date = page.properties["Order Date"]?.date?.start || null;
-      const paymentMethod = page.properties["Select"]?.select?.name || "Unknown";
-
-      // Monthly
-      if (date) {
-        const month = new Date(date).toLocaleString("default", { month: "short", year: 'numeric' });
-        const existing = monthly.find((m) => m.name === month);
-        if (existing) {
-          existing.revenue += amount;
-          existing.orders += 1;
-          existing.customers += 1;
-        } else {
-          monthly.push({ name: month, revenue: amount, orders: 1, customers: 1 });
-        }
-      }
-
-      // Products
-      const existingProduct = products.find((p) => p.name === productName);
-      if (existingProduct) {
-        existingProduct.value += amount;
-      } else {
-        products.push({
-          name: productName,
-          value: amount,
-          color: "#" + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0')
-        });
-      }
-
-      // Orders (latest 10)
-      if (orders.length < 10) {
-        orders.push({
-          id: page.id || `#${(index + 1).toString().padStart(4, "0")}`,
-          customer: customerName,
-          amount: amount.toLocaleString("en-PH", { style: "currency", currency: "PHP" }),
-          product: productName,
-          date: date ? new Date(date).toLocaleDateString("en-PH", { year: "numeric", month: "short", day: "numeric" }) : "-",
-          paymentMethod,
-          status: "completed"
-        });
-      }
-    });
+// Debug endpoint
+app.get('/proxy/debug', requirePermission('admin'), (req, res) => {
+  res.json({
+    success: true,
+    stores: stores.list.map(({ id, name, storage }) => ({ id, name, ...storage.describe() })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Stores the dashboard can switch between. Every role needs this, if only
+// to pick where a sale is recorded.
+app.get('/proxy/stores', (req, res) => {
+  res.json({
+    success: true,
+    defaultStore: stores.defaultStore.id,
+    stores: stores.list.map(({ id, name, storage }) => ({ id, name, backend: storage.name }))
+  });
+});
 
-    res.json({ success: true, monthly, products, orders });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch data from Notion",
-      error: error.response?.data
+// Sales edited in Notion directly reach open dashboards when a sync of the
+// store's page mirror notices them. Syncs happen on every read anyway;
+// this only adds one while someone is watching.
+const events = createEventHub();
+stores.list.forEach(({ id, name, storage }) => {
+  storage.onExternalChange?.(({ created, updated, deleted }) => {
+    console.log(`🔄 Store "${name}": ${created.length} new, ${updated.length} changed, ${deleted.length} removed in Notion`);
+    responseCache.invalidate();
+    events.publish(id, { action: 'created', ids: created, source: 'notion' });
+    events.publish(id, { action: 'updated', ids: updated, source: 'notion' });
+    events.publish(id, { action: 'deleted', ids: deleted, source: 'notion' });
+  });
+});
+const pollInterval = Number(process.env.NOTION_POLL_MS) || 30 * 1000;
+setInterval(() => {
+  if (events.size === 0) return;
+  stores.list.forEach(({ name, storage }) => {
+    storage.poll?.().catch((error) => {
+      console.error(`❌ Store "${name}": could not check Notion for changes:`, error.message);
     });
+  });
+}, pollInterval).unref();
+
+const idempotencyKeys = createIdempotencyStore();
+const salesRouter = createSalesRouter({ stores, responseCache, settings, idempotencyKeys, events });
+app.use('/proxy/stores/:storeId', salesRouter);
+// Unscoped routes (/proxy/notion, ...) act on the default store
+app.use('/proxy', salesRouter);
+
+app.use('/proxy', notFoundHandler);
+
+// Production mode: this process also serves the built dashboard (npm run
+// build), with every other GET answered by index.html so client-side
+// routes like /customers survive a reload.
+if (servesClient) {
+  const distDir = path.resolve(process.env.CLIENT_DIST_DIR || 'dist');
+  const indexFile = path.join(distDir, 'index.html');
+  if (!existsSync(indexFile)) {
+    console.error(`❌ SERVE_CLIENT is set but ${indexFile} is missing; run npm run build first`);
+    process.exit(1);
   }
-});
+
+  app.use(express.static(distDir, {
+    index: false,
+    setHeaders(res, filePath) {
+      // Vite puts a content hash in every file name under assets/
+      const isHashed = path.relative(distDir, filePath).startsWith(`assets${path.sep}`);
+      res.set('Cache-Control', isHashed ? 'public, max-age=31536000, immutable' : 'no-cache');
+    }
+  }));
+  app.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      next();
+      return;
+    }
+    res.set('Cache-Control', 'no-cache');
+    res.sendFile(indexFile);
+  });
+  console.log(`✅ Serving the dashboard from ${distDir}`);
+}
+
+app.use(errorHandler);
 
 // Vercel compatible
 const PORT = process.env.PORT || 3000;
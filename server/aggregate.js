@@ -0,0 +1,202 @@
+import { createCatalogIndex } from '../src/shared/catalog.js';
+import { customerKey, firstPurchaseDates } from '../src/shared/customers.js';
+import { matchesFilters } from '../src/shared/filters.js';
+import { productTotals, saleItems } from '../src/shared/lineItems.js';
+import { isCancelled, netAmount, statusOf } from '../src/shared/orderStatus.js';
+import { summarizePayments } from '../src/shared/payments.js';
+import { MAX_SERIES_LENGTH, addSaleToBucket, createBucket, fillSeries, seriesLength, toPeriodStart } from '../src/shared/periods.js';
+import { ValidationError } from './errors.js';
+
+// Turns a list of normalized sales (newest first) into the shape the
+// dashboard expects from GET /proxy/notion. `granularity` is one of the
+// GRANULARITIES in src/shared/periods.js; `range` ({ from, to }) stretches
+// the trend to cover the whole filtered period. `firstPurchases` should be
+// built from every sale, not just the filtered ones, or returning customers
+// outside the range would be counted as new. Cancelled orders still show
+// in `orders` but count nowhere else, and refunds are netted out.
+// Products are grouped and colored by the store's `catalog` (see
+// src/shared/catalog.js). A trend of more than MAX_SERIES_LENGTH periods
+// is refused with a ValidationError.
+export function aggregateSales(sales, { granularity = 'month', range, firstPurchases = firstPurchaseDates(sales), catalog } = {}) {
+  const buckets = new Map();
+  // Customer keys counted per bucket; kept out of the buckets, which go to
+  // the browser
+  const counted = new Map();
+  const products = new Map();
+  const orders = [];
+  const catalogIndex = createCatalogIndex(catalog);
+
+  sales.forEach((sale, index) => {
+    const { amount, customerName, productName, date, paymentMethod } = sale;
+
+    // Trend
+    if (date) {
+      const key = toPeriodStart(date, granularity);
+      if (!buckets.has(key)) {
+        buckets.set(key, createBucket(key, granularity));
+        counted.set(key, new Set());
+      }
+      addSaleToBucket(buckets.get(key), sale, { granularity, firstPurchases, counted: counted.get(key) });
+    }
+
+    // Products: revenue and units sold, per line item
+    (isCancelled(sale) ? [] : productTotals(sale)).forEach(({ name, revenue, units }) => {
+      const key = catalogIndex.groupKey(name);
+      const existingProduct = products.get(key);
+      if (existingProduct) {
+        existingProduct.value += revenue;
+        existingProduct.units += units;
+      } else {
+        const { name: productName, color } = catalogIndex.resolve(name);
+        products.set(key, { name: productName, value: revenue, units, color });
+      }
+    });
+
+    // Orders (latest 10)
+    if (orders.length < 10) {
+      orders.push({
+        id: sale.id || `#${(index + 1).toString().padStart(4, "0")}`,
+        customer: customerName,
+        customerContact: sale.customerContact || '',
+        amount: amount.toLocaleString("en-PH", { style: "currency", currency: "PHP" }),
+        amountValue: amount,
+        product: productName,
+        items: saleItems(sale),
+        date: date ? new Date(date).toLocaleDateString("en-PH", { year: "numeric", month: "short", day: "numeric" }) : "-",
+        orderDate: date,
+        paymentMethod,
+        status: statusOf(sale),
+        refundedAmount: sale.refundedAmount || 0,
+        // Only set in the combined "all stores" view
+        storeId: sale.storeId
+      });
+    }
+  });
+
+  const length = seriesLength(Array.from(buckets.values()), granularity, range);
+  if (length > MAX_SERIES_LENGTH) {
+    throw new ValidationError({
+      granularity: `A ${granularity} trend would have ${length} points (at most ${MAX_SERIES_LENGTH}); pick a shorter date range or a coarser granularity`
+    });
+  }
+  const series = fillSeries(Array.from(buckets.values()), granularity, range);
+
+  return { series, products: Array.from(products.values()), orders, payments: summarizePayments(sales) };
+}
+
+// Distinct values for the dashboard's filter dropdowns. Products are
+// listed once per catalog entry or normalized name.
+export function listFilterOptions(sales, catalog) {
+  const sorted = (values) => Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+  const distinct = (field) => sorted(sales.map((sale) => sale[field]));
+  const catalogIndex = createCatalogIndex(catalog);
+  const products = new Map();
+  sales.forEach((sale) => saleItems(sale).forEach(({ productName }) => {
+    const key = catalogIndex.groupKey(productName);
+    if (productName && !products.has(key)) products.set(key, catalogIndex.resolve(productName).name);
+  }));
+
+  return {
+    products: sorted(Array.from(products.values())),
+    paymentMethods: distinct('paymentMethod'),
+    customers: distinct('customerName')
+  };
+}
+
+// Revenue, order and customer totals for a set of sales dated `from`
+// onwards, counted like one trend bucket covering them: a customer is new
+// when their first purchase ever falls on or after `from`.
+export function summarizeSales(sales, firstPurchases = firstPurchaseDates(sales), { from } = {}) {
+  const counted = sales.filter((sale) => !isCancelled(sale));
+  const customers = new Set(counted.map(customerKey));
+  const isNew = (key) => !from || !firstPurchases[key] || firstPurchases[key] >= from;
+  return {
+    revenue: counted.reduce((sum, sale) => sum + netAmount(sale), 0),
+    orders: counted.length,
+    newCustomers: Array.from(customers).filter(isNew).length,
+    customers: customers.size
+  };
+}
+
+// How adding `sale` changed the dashboard's customer counts, so it can
+// update them without knowing who the customers are. `sales` is every
+// sale of the store, `matches` tells the ones the dashboard's filters
+// keep and `current` is the period-to-date range of its cards, if any.
+// Returns { series: [{ key, customers, newCustomers }], current } holding
+// only the changes: a customer buying again in a period adds nothing, and
+// an earlier first purchase moves "new" from one period to another.
+export function customerCountChanges(sales, sale, { granularity, matches, current }) {
+  const countsOf = (list) => {
+    const firstPurchases = firstPurchaseDates(list);
+    const buckets = new Map();
+    const counted = new Map();
+    const shown = list.filter(matches);
+    shown.forEach((entry) => {
+      if (!entry.date) return;
+      const key = toPeriodStart(entry.date, granularity);
+      if (!buckets.has(key)) {
+        buckets.set(key, createBucket(key, granularity));
+        counted.set(key, new Set());
+      }
+      addSaleToBucket(buckets.get(key), entry, { granularity, firstPurchases, counted: counted.get(key) });
+    });
+    const summary = current && summarizeSales(shown.filter((entry) => matchesFilters(entry, current)), firstPurchases, current);
+    return { buckets, summary };
+  };
+  const difference = (after, before) => ({
+    customers: after.customers - (before?.customers || 0),
+    newCustomers: after.newCustomers - (before?.newCustomers || 0)
+  });
+
+  const others = sales.filter((entry) => entry.id !== sale.id);
+  const before = countsOf(others);
+  const after = countsOf([...others, sale]);
+  const series = Array.from(after.buckets.values())
+    .map((bucket) => ({ key: bucket.key, ...difference(bucket, before.buckets.get(bucket.key)) }))
+    .filter((change) => change.customers !== 0 || change.newCustomers !== 0);
+
+  return { series, current: current ? difference(after.summary, before.summary) : null };
+}
+
+// Revenue and order counts per group, largest revenue first. `keyOf`
+// decides which sales belong together and `labelOf` names the group (the
+// first sale seen wins, i.e. the newest one). Like the trend, cancelled
+// orders are left out and refunds netted out.
+export function breakdownBy(sales, keyOf, labelOf = keyOf) {
+  const groups = new Map();
+  const counted = sales.filter((sale) => !isCancelled(sale));
+  counted.forEach((sale) => {
+    const key = keyOf(sale);
+    if (!groups.has(key)) {
+      groups.set(key, { name: labelOf(sale), revenue: 0, orders: 0 });
+    }
+    const group = groups.get(key);
+    group.revenue += netAmount(sale);
+    group.orders += 1;
+  });
+
+  const total = counted.reduce((sum, sale) => sum + netAmount(sale), 0);
+  return Array.from(groups.values())
+    .map((group) => ({ ...group, share: total > 0 ? group.revenue / total : 0 }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+// Revenue, orders (sales with the product on any line) and units per
+// product, largest revenue first, grouped like the dashboard's products.
+export function breakdownByProduct(sales, catalog) {
+  const groups = new Map();
+  const catalogIndex = createCatalogIndex(catalog);
+  const counted = sales.filter((sale) => !isCancelled(sale));
+  counted.forEach((sale) => {
+    productTotals(sale).forEach(({ name, revenue, units }) => {
+      const key = catalogIndex.groupKey(name);
+      const group = groups.get(key) || { name: catalogIndex.resolve(name).name, revenue: 0, orders: 0, units: 0 };
+      groups.set(key, { ...group, revenue: group.revenue + revenue, orders: group.orders + 1, units: group.units + units });
+    });
+  });
+
+  const total = counted.reduce((sum, sale) => sum + netAmount(sale), 0);
+  return Array.from(groups.values())
+    .map((group) => ({ ...group, share: total > 0 ? group.revenue / total : 0 }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
@@ -0,0 +1,84 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { can } from '../src/shared/roles.js';
+import { ForbiddenError, UnauthorizedError } from './errors.js';
+import { verifyPassword } from './users.js';
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Issues and checks bearer tokens: "<base64url JSON payload>.<HMAC>". The
+// payload is { sub, role, exp } with `exp` in ms. Tokens are stateless, so
+// a user removed from the users file is rejected on their next request
+// but a token can't be revoked any other way before it expires.
+export function createAuth({ secret, users, tokenTtl = 12 * 60 * 60 * 1000 }) {
+  function issueToken(user) {
+    const expiresAt = Date.now() + tokenTtl;
+    const payload = Buffer.from(JSON.stringify({ sub: user.username, role: user.role, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload, secret)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function readToken(token) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return claims.exp > Date.now() ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    // Resolves with { token, expiresAt, user } or throws UnauthorizedError.
+    // Unknown users and wrong passwords get the same message.
+    async login(username, password) {
+      const user = await users.find(username);
+      if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        throw new UnauthorizedError('Invalid username or password');
+      }
+      return { ...issueToken(user), user: { username: user.username, role: user.role } };
+    },
+
+    // The current { username, role } for a token, or null. The role comes
+    // from the users file so a changed role applies immediately.
+    async verify(token) {
+      const claims = readToken(token);
+      if (!claims) return null;
+      const user = await users.find(claims.sub);
+      return user ? { username: user.username, role: user.role } : null;
+    }
+  };
+}
+
+// Sets req.user from the Authorization header, or rejects the request.
+// EventSource can't send headers, so event streams may pass the token as
+// ?access_token= instead.
+export function authenticate(auth) {
+  return async (req, res, next) => {
+    let [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (!token && req.get('Accept') === 'text/event-stream' && typeof req.query.access_token === 'string') {
+      [scheme, token] = ['Bearer', req.query.access_token];
+    }
+    const user = scheme === 'Bearer' && token ? await auth.verify(token) : null;
+    if (!user) {
+      throw new UnauthorizedError(token ? 'Session expired, please log in again' : undefined);
+    }
+    req.user = user;
+    next();
+  };
+}
+
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user?.role, permission)) {
+      throw new ForbiddenError(`Your role (${req.user?.role}) is not allowed to do this`);
+    }
+    next();
+  };
+}
@@ -0,0 +1,90 @@
+import { createHash } from 'node:crypto';
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// In-memory cache of serialized JSON responses, each with a strong ETag
+// derived from its body.
+export function createResponseCache({ ttl = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    set(key, body) {
+      const json = JSON.stringify(body);
+      const etag = `"${createHash('sha1').update(json).digest('base64url')}"`;
+      const entry = { json, etag, expiresAt: Date.now() + ttl };
+      entries.set(key, entry);
+      return entry;
+    },
+
+    invalidate() {
+      entries.clear();
+    }
+  };
+}
+
+// Cache key: the path plus the query string in a stable order, without the
+// `refresh` cache buster.
+function cacheKey(req) {
+  const params = Object.entries(req.query)
+    .filter(([name]) => name !== 'refresh')
+    .sort(([a], [b]) => a.localeCompare(b));
+  // baseUrl keeps routers mounted at several paths (one per store) apart
+  return `${req.baseUrl}${req.path}?${new URLSearchParams(params).toString()}`;
+}
+
+function sendEntry(req, res, entry) {
+  res.set('ETag', entry.etag);
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map((tag) => tag.trim()).includes(entry.etag)) {
+    return res.status(304).end();
+  }
+  return res.type('json').send(entry.json);
+}
+
+// Serves successful JSON responses from `cache`. `?refresh` skips the
+// cached copy and stores the fresh one in its place. Browsers are told to
+// revalidate every time, which costs a 304 when nothing changed.
+export function cacheResponses(cache) {
+  return (req, res, next) => {
+    const key = cacheKey(req);
+    res.set('Cache-Control', 'no-cache');
+
+    const entry = req.query.refresh === undefined ? cache.get(key) : null;
+    if (entry) {
+      res.set('X-Cache', 'HIT');
+      return sendEntry(req, res, entry);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode !== 200 || body?.success === false) {
+        return json(body);
+      }
+      res.set('X-Cache', 'MISS');
+      return sendEntry(req, res, cache.set(key, body));
+    };
+    next();
+  };
+}
+
+// Drops every cached response once a write request succeeds.
+export function invalidateOnWrite(cache) {
+  return (req, res, next) => {
+    if (WRITE_METHODS.includes(req.method)) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) cache.invalidate();
+      });
+    }
+    next();
+  };
+}
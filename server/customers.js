@@ -0,0 +1,143 @@
+import { customerKey } from '../src/shared/customers.js';
+import { isCancelled, netAmount } from '../src/shared/orderStatus.js';
+import { normalizeName } from '../src/shared/text.js';
+import { ValidationError } from './errors.js';
+
+// Names this close are flagged as possibly the same customer, e.g. a typo
+// ("Juan Dela Cruz" / "Juan Dela Curz") or one sale with a contact and one
+// without. Short names are only compared exactly: "Ana" and "Ina" are
+// different people far more often than a typo.
+const MIN_FUZZY_LENGTH = 5;
+const LONG_NAME_LENGTH = 12;
+
+// Case, accents, punctuation and word order ignored
+function looseName(name) {
+  return normalizeName(name)
+    .replace(/[^a-z0-9 ]/g, '')
+    .split(' ')
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isNearDuplicate(a, b) {
+  if (a === b) return true;
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < MIN_FUZZY_LENGTH) return false;
+  const allowed = shorter >= LONG_NAME_LENGTH ? 2 : 1;
+  return Math.abs(a.length - b.length) <= allowed && a[0] === b[0] && editDistance(a, b) <= allowed;
+}
+
+// Every customer in `sales` (newest first), identified the same way as the
+// dashboard's customer counts (see customerKey). Lifetime value and order
+// counts leave out cancelled orders and net out refunds. Each entry lists
+// the other customers whose names look like the same person.
+//
+//   { key, name, contact, lifetimeValue, orders, firstPurchase,
+//     lastPurchase, preferredPaymentMethod, possibleDuplicates: [{ key, name }] }
+export function buildCustomerDirectory(sales) {
+  const customers = new Map();
+
+  sales.forEach((sale) => {
+    const key = customerKey(sale);
+    if (!customers.has(key)) {
+      // The newest sale names the customer
+      customers.set(key, {
+        key,
+        name: sale.customerName,
+        contact: sale.customerContact || '',
+        lifetimeValue: 0,
+        orders: 0,
+        firstPurchase: null,
+        lastPurchase: null,
+        paymentCounts: {}
+      });
+    }
+    if (isCancelled(sale)) return;
+
+    const customer = customers.get(key);
+    const date = sale.date ? sale.date.slice(0, 10) : null;
+    customer.lifetimeValue += netAmount(sale);
+    customer.orders += 1;
+    if (date && (!customer.firstPurchase || date < customer.firstPurchase)) customer.firstPurchase = date;
+    if (date && (!customer.lastPurchase || date > customer.lastPurchase)) customer.lastPurchase = date;
+    customer.paymentCounts[sale.paymentMethod] = (customer.paymentCounts[sale.paymentMethod] || 0) + 1;
+  });
+
+  const list = Array.from(customers.values()).map(({ paymentCounts, ...customer }) => ({
+    ...customer,
+    lifetimeValue: Math.round(customer.lifetimeValue * 100) / 100,
+    // Most orders wins; ties go to the method seen first (the newest)
+    preferredPaymentMethod: Object.entries(paymentCounts)
+      .reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] || null,
+    possibleDuplicates: []
+  }));
+
+  const loose = list.map((customer) => looseName(customer.name));
+  for (let i = 0; i < list.length; i += 1) {
+    for (let j = i + 1; j < list.length; j += 1) {
+      if (isNearDuplicate(loose[i], loose[j])) {
+        list[i].possibleDuplicates.push({ key: list[j].key, name: list[j].name });
+        list[j].possibleDuplicates.push({ key: list[i].key, name: list[i].name });
+      }
+    }
+  }
+
+  return list.sort((a, b) => b.lifetimeValue - a.lifetimeValue);
+}
+
+export function customerSales(sales, key) {
+  return sales.filter((sale) => customerKey(sale) === key);
+}
+
+// Renames every sale of the `from` customers to the name and contact of
+// `into`, so they count as one customer from then on. Resolves with the
+// ids of the sales changed.
+export async function mergeCustomers(storage, { into, from }) {
+  const errors = {};
+  if (typeof into !== 'string' || !into) {
+    errors.into = 'into must be a customer key';
+  }
+  if (!Array.isArray(from) || from.length === 0 || from.some((key) => typeof key !== 'string' || !key)) {
+    errors.from = 'from must be a non-empty list of customer keys';
+  } else if (from.includes(into)) {
+    errors.from = "A customer can't be merged into themselves";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  const sales = await storage.listSales();
+  const target = sales.find((sale) => customerKey(sale) === into);
+  if (!target) {
+    throw new ValidationError({ into: `No customer "${into}"` });
+  }
+  const missing = from.filter((key) => !sales.some((sale) => customerKey(sale) === key));
+  if (missing.length > 0) {
+    throw new ValidationError({ from: `No customer ${missing.map((key) => `"${key}"`).join(', ')}` });
+  }
+
+  const changes = { customerName: target.customerName, customerContact: target.customerContact || '' };
+  const toMerge = sales.filter((sale) => from.includes(customerKey(sale)));
+  // One at a time; the Notion client rate-limits anyway
+  for (const sale of toMerge) {
+    await storage.updateSale(sale.id, changes);
+  }
+  return toMerge.map((sale) => sale.id);
+}
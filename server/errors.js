@@ -0,0 +1,144 @@
+// Every error the API answers with is an HttpError: it carries the status
+// to respond with, a machine-readable `code`, and optionally per-field
+// messages (`fields`) or extra `details`. errorHandler turns them into the
+// envelope all /proxy routes share:
+//
+//   { success: false, error: { code, message, fields?, details? } }
+
+export class HttpError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', fields, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(fields, message = Object.values(fields).join('; ')) {
+    super(message, { status: 400, code: 'validation_error', fields });
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'Not found') {
+    super(message, { status: 404, code: 'not_found' });
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required') {
+    super(message, { status: 401, code: 'unauthorized' });
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden') {
+    super(message, { status: 403, code: 'forbidden' });
+  }
+}
+
+// The request clashes with one already made, e.g. an Idempotency-Key
+// reused for a different sale
+export class ConflictError extends HttpError {
+  constructor(message = 'Conflict') {
+    super(message, { status: 409, code: 'conflict' });
+  }
+}
+
+// The store's settings don't match its database, e.g. a Notion column
+// was renamed. `fields` says what is wrong with each sale field.
+export class StoreConfigError extends HttpError {
+  constructor(fields, message = `Store is not set up correctly: ${Object.values(fields).join('; ')}`) {
+    super(message, { status: 503, code: 'store_misconfigured', fields });
+  }
+}
+
+// Errors raised by the Notion client. Where Notion sent an error body it
+// is kept in `details`.
+export class NotionError extends HttpError {
+  constructor(message, { status = 502, code = 'notion_error', details, retryable = false } = {}) {
+    super(message, { status, code, details });
+    this.retryable = retryable;
+  }
+}
+
+// 400: the request didn't match the database schema
+export class NotionValidationError extends NotionError {}
+
+// 401 / 403: bad token, or the integration isn't shared with the database
+export class NotionAuthError extends NotionError {}
+
+// 404: no such database or page (or it isn't shared with the integration)
+export class NotionNotFoundError extends NotionError {}
+
+// 409: conflicting concurrent edit; Notion says these are safe to retry
+export class NotionConflictError extends NotionError {}
+
+// 429: rate limited. `retryAfter` is in milliseconds.
+export class NotionRateLimitError extends NotionError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 5xx: Notion is having trouble
+export class NotionServiceError extends NotionError {}
+
+// The request took longer than the configured timeout
+export class NotionTimeoutError extends NotionError {}
+
+// No response at all (DNS, connection reset, ...)
+export class NotionNetworkError extends NotionError {}
+
+// A create that timed out, lost its connection or got a 5xx: Notion may
+// have saved the page anyway, so it must not be sent again blindly.
+// `cause` is the error behind it.
+export class NotionOutcomeUnknownError extends NotionError {
+  constructor(cause) {
+    super(`${cause.message}; it may have been saved anyway, so check before trying again`, {
+      status: cause.status,
+      code: 'outcome_unknown',
+      details: cause.details
+    });
+    this.cause = cause;
+  }
+}
+
+export function errorBody(error) {
+  return {
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.fields && { fields: error.fields }),
+      ...(error.details && { details: error.details })
+    }
+  };
+}
+
+// Unknown /proxy routes answer in the same envelope instead of Express's
+// HTML 404 page.
+export function notFoundHandler(req, res) {
+  res.status(404).json(errorBody(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`)));
+}
+
+// Last middleware in the chain. Anything that isn't an HttpError is
+// logged and reported as a generic 500, except the client errors Express
+// itself raises (malformed JSON bodies and the like).
+// eslint-disable-next-line no-unused-vars
+export function errorHandler(error, req, res, next) {
+  let httpError = error;
+  if (!(error instanceof HttpError)) {
+    httpError = error.expose && error.status < 500
+      ? new HttpError(error.message, { status: error.status, code: error.type || 'bad_request' })
+      : new HttpError('Internal server error');
+  }
+  if (httpError.status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl}:`, error);
+  }
+  res.status(httpError.status).json(errorBody(httpError));
+}
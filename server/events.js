@@ -0,0 +1,57 @@
+import { ALL_STORES } from './storage/index.js';
+
+// Server-Sent Events for the dashboards: every change to a store's sales
+// goes out as
+//
+//   event: sales
+//   data: { storeId, action: 'created' | 'updated' | 'deleted', ids, source }
+//
+// with `source` "api" for writes made through this server and "notion" for
+// edits picked up from Notion. Clients watching ALL_STORES get every
+// store's events. A comment line is sent every `heartbeatInterval` ms so
+// proxies don't close an idle connection.
+export function createEventHub({ heartbeatInterval = 25 * 1000 } = {}) {
+  const clients = new Set();
+  let lastId = 0;
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(({ res }) => res.write(': ping\n\n'));
+  }, heartbeatInterval);
+  heartbeat.unref();
+
+  return {
+    get size() {
+      return clients.size;
+    },
+
+    // Turns `res` into an event stream of `storeId`'s changes until the
+    // client disconnects
+    subscribe(req, res, storeId) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx and friends from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      // Reconnect after 5 s if the connection drops
+      res.write('retry: 5000\n\n');
+
+      const client = { res, storeId };
+      clients.add(client);
+      req.on('close', () => clients.delete(client));
+    },
+
+    publish(storeId, { action, ids, source = 'api' }) {
+      if (ids.length === 0) return;
+      lastId += 1;
+      const message = `id: ${lastId}\nevent: sales\ndata: ${JSON.stringify({ storeId, action, ids, source })}\n\n`;
+      clients.forEach((client) => {
+        if (client.storeId === storeId || client.storeId === ALL_STORES) {
+          client.res.write(message);
+        }
+      });
+    }
+  };
+}
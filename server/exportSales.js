@@ -0,0 +1,87 @@
+import ExcelJS from 'exceljs';
+import { toCsv } from '../src/shared/csv.js';
+import { saleItems } from '../src/shared/lineItems.js';
+import { statusOf } from '../src/shared/orderStatus.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// One column per sale field. Amounts stay numbers and dates stay ISO so
+// the file can be summed and sorted as-is.
+const columns = [
+  { key: 'id', header: 'Order ID', width: 38 },
+  { key: 'date', header: 'Order Date', width: 12 },
+  { key: 'customerName', header: 'Customer', width: 24 },
+  { key: 'customerContact', header: 'Contact', width: 20 },
+  { key: 'productName', header: 'Product', width: 24 },
+  { key: 'paymentMethod', header: 'Payment Method', width: 16 },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'refundedAmount', header: 'Refunded', width: 12 },
+  { key: 'items', header: 'Line Items', width: 40 },
+  { key: 'createdTime', header: 'Created', width: 24 },
+  { key: 'lastEditedTime', header: 'Last Edited', width: 24 }
+];
+
+// "2 × Coffee @ 120.00 less 10.00; 1 × Cake @ 85.50"
+function describeLines(sale) {
+  return saleItems(sale).map(({ productName, quantity, unitPrice, discount }) => (
+    `${quantity} × ${productName} @ ${unitPrice.toFixed(2)}${discount ? ` less ${discount.toFixed(2)}` : ''}`
+  )).join('; ');
+}
+
+// Computed columns; the rest are copied from the sale
+const derived = {
+  items: describeLines,
+  status: statusOf,
+  refundedAmount: (sale) => sale.refundedAmount || 0
+};
+
+function toRecord(sale) {
+  return Object.fromEntries(columns.map(({ key }) => [key, derived[key] ? derived[key](sale) : sale[key] ?? '']));
+}
+
+async function toXlsx(sales) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Sales');
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+
+  sales.forEach((sale) => {
+    const record = toRecord(sale);
+    // Real date cells, so Excel can filter and sort them
+    record.date = sale.date ? new Date(`${sale.date.slice(0, 10)}T00:00:00Z`) : '';
+    sheet.addRow(record);
+  });
+  sheet.getColumn('date').numFmt = 'yyyy-mm-dd';
+  sheet.getColumn('amount').numFmt = '#,##0.00';
+  sheet.getColumn('refundedAmount').numFmt = '#,##0.00';
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Returns { contentType, body } for `sales` in one of EXPORT_FORMATS.
+export async function exportSales(sales, format) {
+  switch (format) {
+    case 'csv':
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        // The byte order mark makes Excel read the file as UTF-8 (₱, ñ, ...)
+        body: '\uFEFF' + toCsv([
+          columns.map(({ header }) => header),
+          ...sales.map((sale) => Object.values(toRecord(sale)))
+        ])
+      };
+    case 'xlsx':
+      return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        body: await toXlsx(sales)
+      };
+    case 'json':
+      return {
+        contentType: 'application/json; charset=utf-8',
+        body: JSON.stringify({ sales: sales.map((sale) => ({ ...toRecord(sale), items: saleItems(sale) })) }, null, 2)
+      };
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
@@ -0,0 +1,85 @@
+import { createHash } from 'node:crypto';
+import { ConflictError, ValidationError } from './errors.js';
+
+const MAX_KEY_LENGTH = 200;
+
+// Remembers the successful response to each Idempotency-Key for `ttl`, so
+// a request resent after a dropped connection (the dashboard's offline
+// outbox does this) gets the first answer back instead of recording the
+// sale twice. Kept in memory: a restart forgets the keys.
+export function createIdempotencyStore({ ttl = 24 * 60 * 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function prune() {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }
+
+  return {
+    get(key) {
+      prune();
+      return entries.get(key) || null;
+    },
+
+    set(key, entry) {
+      entries.set(key, { ...entry, expiresAt: Date.now() + ttl });
+    },
+
+    delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// Makes a write route safe to retry. Requests without an Idempotency-Key
+// header pass through. Keys are per user and store; reusing one for a
+// different body, or while the first request is still running, is a 409
+// (the latter with a Retry-After).
+// Only 2xx responses are remembered, so a request that failed can be
+// retried with the same key.
+export function idempotent(store) {
+  return (req, res, next) => {
+    const header = req.get('Idempotency-Key');
+    if (header === undefined) {
+      next();
+      return;
+    }
+    if (!header.trim() || header.length > MAX_KEY_LENGTH) {
+      throw new ValidationError({ idempotencyKey: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const key = `${req.user.username}:${req.store.id}:${req.method}:${req.path}:${header}`;
+    const fingerprint = createHash('sha1').update(JSON.stringify(req.body ?? null)).digest('base64url');
+    const entry = store.get(key);
+    if (entry && entry.fingerprint !== fingerprint) {
+      throw new ConflictError('This Idempotency-Key was already used for a different request');
+    }
+    if (entry?.pending) {
+      res.set('Retry-After', '2');
+      throw new ConflictError('A request with this Idempotency-Key is still being processed');
+    }
+    if (entry) {
+      res.set('Idempotent-Replayed', 'true');
+      res.status(entry.status).json(entry.body);
+      return;
+    }
+
+    store.set(key, { fingerprint, pending: true });
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        store.set(key, { fingerprint, status: res.statusCode, body });
+      } else {
+        store.delete(key);
+      }
+      return json(body);
+    };
+    // Nothing was sent, e.g. the client went away mid-request
+    res.on('close', () => {
+      if (store.get(key)?.pending) store.delete(key);
+    });
+    next();
+  };
+}
@@ -0,0 +1,86 @@
+import { applyCatalog, createCatalogIndex } from '../src/shared/catalog.js';
+import { validateSale } from '../src/shared/saleSchema.js';
+import { normalizeName } from '../src/shared/text.js';
+
+// Rows are written this many at a time. With the Notion backend every
+// request still goes through the client's rate limiter, so a batch just
+// keeps the limiter's queue full without flooding it.
+const BATCH_SIZE = 10;
+
+export const MAX_IMPORT_ROWS = 500;
+
+// Two sales are treated as the same one when they share date, customer,
+// product and amount.
+function fingerprint({ date, customerName, productName, amount }) {
+  return [
+    date,
+    normalizeName(customerName),
+    normalizeName(productName),
+    Number(amount).toFixed(2)
+  ].join('|');
+}
+
+// Validates and writes `rows` (objects with the sale fields). Returns one
+// report entry per row, in order:
+//
+//   { row, status: 'created' | 'ready' | 'duplicate' | 'invalid' | 'failed',
+//     id?, errors?, message? }
+//
+// `row` is the row's position in the caller's file (`firstRow` + index).
+// With `dryRun` nothing is written and valid rows come back as 'ready',
+// which is what the upload screen's preview uses. `paymentMethods` is the
+// store's list of accepted methods and `catalog` its product catalog, whose
+// spelling of product names is used for the imported sales.
+export async function importSales(storage, rows, { dryRun = false, skipDuplicates = true, firstRow = 1, paymentMethods, catalog } = {}) {
+  const catalogIndex = createCatalogIndex(catalog);
+  const existing = new Set((await storage.listSales()).map(fingerprint));
+  const seen = new Set();
+  const report = [];
+  const toCreate = [];
+
+  rows.forEach((input, index) => {
+    const row = firstRow + index;
+    const { value: validated, errors } = validateSale(input, { values: { paymentMethod: paymentMethods } });
+
+    if (Object.keys(errors).length > 0) {
+      report.push({ row, status: 'invalid', errors });
+      return;
+    }
+    const value = applyCatalog(validated, catalogIndex);
+
+    const key = fingerprint(value);
+    if (skipDuplicates && existing.has(key)) {
+      report.push({ row, status: 'duplicate', message: 'Matches a sale that already exists' });
+      return;
+    }
+    if (skipDuplicates && seen.has(key)) {
+      report.push({ row, status: 'duplicate', message: 'Repeats an earlier row in this file' });
+      return;
+    }
+    seen.add(key);
+
+    const entry = { row, status: 'ready' };
+    report.push(entry);
+    toCreate.push({ entry, sale: value });
+  });
+
+  if (dryRun) return report;
+
+  for (let start = 0; start < toCreate.length; start += BATCH_SIZE) {
+    const batch = toCreate.slice(start, start + BATCH_SIZE);
+    const results = await Promise.allSettled(batch.map(({ sale }) => storage.createSale(sale)));
+
+    results.forEach((result, index) => {
+      const { entry } = batch[index];
+      if (result.status === 'fulfilled') {
+        entry.status = 'created';
+        entry.id = result.value.id;
+      } else {
+        entry.status = 'failed';
+        entry.message = result.reason.status ? result.reason.message : 'Failed to save sale';
+      }
+    });
+  }
+
+  return report;
+}
@@ -0,0 +1,104 @@
+// Notion stores last_edited_time rounded down to the minute, so the sync
+// cursor has to be rounded the same way or edits made in the same minute
+// as a sync would be skipped.
+function floorToMinute(date) {
+  const floored = new Date(date);
+  floored.setUTCSeconds(0, 0);
+  return floored.toISOString();
+}
+
+// Keeps a copy of every page in the database. The first sync loads
+// everything; later syncs only ask for pages edited since the previous one.
+// Archived pages never show up in an incremental query, so a full sync is
+// forced every `fullSyncInterval` ms to drop deleted rows. `client` comes
+// from createNotionClient in notionClient.js.
+//
+// Pages that a sync finds added, edited or archived, other than by put(),
+// are reported to the subscribe() listeners as
+// { created: [ids], updated: [ids], deleted: [ids] }. The first sync only
+// loads the mirror and reports nothing.
+export function createPageMirror(client, databaseId, { fullSyncInterval = 10 * 60 * 1000 } = {}) {
+  const pages = new Map();
+  const listeners = new Set();
+  let syncedAt = null;
+  let fullSyncedAt = 0;
+  let pendingSync = null;
+
+  // last_edited_time only has minute precision, so compare the content
+  const isSamePage = (a, b) => JSON.stringify(a.properties) === JSON.stringify(b.properties);
+
+  async function sync() {
+    const startedAt = new Date();
+    const isFullSync = !syncedAt || startedAt.getTime() - fullSyncedAt >= fullSyncInterval;
+    const body = isFullSync
+      ? {}
+      : { filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: syncedAt } } };
+
+    const results = await client.queryDatabase(databaseId, body);
+    const isFirstSync = !syncedAt;
+    const changes = { created: [], updated: [], deleted: [] };
+
+    if (isFullSync) {
+      const found = new Set(results.map((page) => page.id));
+      pages.forEach((page, id) => {
+        if (!found.has(id)) changes.deleted.push(id);
+      });
+      changes.deleted.forEach((id) => pages.delete(id));
+      fullSyncedAt = startedAt.getTime();
+    }
+    results.forEach((page) => {
+      const known = pages.get(page.id);
+      if (page.archived) {
+        if (known) changes.deleted.push(page.id);
+        pages.delete(page.id);
+        return;
+      }
+      if (!known) changes.created.push(page.id);
+      else if (!isSamePage(known, page)) changes.updated.push(page.id);
+      pages.set(page.id, page);
+    });
+    syncedAt = floorToMinute(startedAt);
+
+    const changed = changes.created.length + changes.updated.length + changes.deleted.length > 0;
+    if (changed && !isFirstSync) {
+      listeners.forEach((listener) => listener(changes));
+    }
+
+    return results.length;
+  }
+
+  return {
+    // Concurrent callers share one in-flight sync instead of each
+    // hitting Notion.
+    async getPages() {
+      if (!pendingSync) {
+        pendingSync = sync().finally(() => {
+          pendingSync = null;
+        });
+      }
+      await pendingSync;
+      return Array.from(pages.values());
+    },
+
+    // Writes made through this server are applied straight away; archived
+    // pages in particular would otherwise linger until the next full sync.
+    put(page) {
+      if (page.archived) {
+        pages.delete(page.id);
+      } else if (syncedAt) {
+        pages.set(page.id, page);
+      }
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    reset() {
+      pages.clear();
+      syncedAt = null;
+      fullSyncedAt = 0;
+    }
+  };
+}
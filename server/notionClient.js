@@ -0,0 +1,168 @@
+import axios from 'axios';
+import {
+  NotionAuthError,
+  NotionConflictError,
+  NotionError,
+  NotionNetworkError,
+  NotionNotFoundError,
+  NotionOutcomeUnknownError,
+  NotionRateLimitError,
+  NotionServiceError,
+  NotionTimeoutError,
+  NotionValidationError
+} from './errors.js';
+
+const NOTION_API_URL = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+const PAGE_SIZE = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Starts at most one task every `interval` ms and keeps at most
+// `maxConcurrent` running. `pause(ms)` holds back every queued task, which
+// is what a 429 asks for.
+function createLimiter({ interval, maxConcurrent }) {
+  const queue = [];
+  let active = 0;
+  let nextStart = 0;
+  let timer = null;
+
+  function drain() {
+    if (timer) return;
+    while (queue.length > 0 && active < maxConcurrent) {
+      const wait = nextStart - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          drain();
+        }, wait);
+        return;
+      }
+
+      nextStart = Date.now() + interval;
+      const { task, resolve, reject } = queue.shift();
+      active += 1;
+      task().then(resolve, reject).finally(() => {
+        active -= 1;
+        drain();
+      });
+    }
+  }
+
+  return {
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        drain();
+      });
+    },
+
+    pause(ms) {
+      nextStart = Math.max(nextStart, Date.now() + ms);
+    }
+  };
+}
+
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function toNotionError(error) {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new NotionTimeoutError('Notion did not respond in time', { status: 504, code: 'timeout', retryable: true });
+  }
+  if (!error.response) {
+    return new NotionNetworkError(`Could not reach Notion: ${error.message}`, { status: 502, code: 'network_error', retryable: true });
+  }
+
+  const { status, data, headers } = error.response;
+  const message = data?.message || `Notion responded with ${status}`;
+  const options = { status, code: data?.code || 'notion_error', details: data };
+
+  if (status === 400) return new NotionValidationError(message, options);
+  if (status === 401 || status === 403) return new NotionAuthError(message, options);
+  if (status === 404) return new NotionNotFoundError(message, options);
+  if (status === 409) return new NotionConflictError(message, { ...options, retryable: true });
+  if (status === 429) {
+    return new NotionRateLimitError(message, { ...options, retryable: true, retryAfter: parseRetryAfter(headers?.['retry-after']) });
+  }
+  if (status >= 500) return new NotionServiceError(message, { ...options, status: 502, retryable: true });
+  return new NotionError(message, options);
+}
+
+// The one place the server talks to the Notion API. Requests share a
+// limiter that keeps under Notion's average of three requests per second,
+// time out after `timeout` ms, and are retried with exponential backoff on
+// rate limits, conflicts, timeouts and 5xx responses (honouring
+// Retry-After). A POST that creates something is only retried on rate
+// limits and conflicts, where Notion wrote nothing: after a timeout or a
+// 5xx the page may already exist, so it fails with a
+// NotionOutcomeUnknownError instead of creating it twice. Failures are
+// thrown as the classes in errors.js.
+export function createNotionClient({
+  token,
+  timeout = 15000,
+  maxRetries = 4,
+  requestsPerSecond = 3,
+  maxConcurrent = 3
+}) {
+  const http = axios.create({
+    baseURL: NOTION_API_URL,
+    timeout,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Notion-Version': NOTION_VERSION,
+      'Content-Type': 'application/json'
+    }
+  });
+  const limiter = createLimiter({ interval: 1000 / requestsPerSecond, maxConcurrent });
+
+  async function request(method, url, data, { idempotent = method !== 'post' } = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        const response = await limiter.schedule(() => http.request({ method, url, data }));
+        return response.data;
+      } catch (rawError) {
+        const error = toNotionError(rawError);
+        const nothingWritten = error instanceof NotionRateLimitError || error instanceof NotionConflictError;
+        if (!idempotent && error.retryable && !nothingWritten) throw new NotionOutcomeUnknownError(error);
+        if (!error.retryable || attempt >= maxRetries) throw error;
+
+        const backoff = Math.min(8000, 500 * 2 ** attempt) + Math.random() * 250;
+        const delay = error.retryAfter ?? backoff;
+        if (error instanceof NotionRateLimitError) limiter.pause(delay);
+        console.warn(`⚠️ Notion ${method.toUpperCase()} ${url} failed (${error.code}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    get: (url) => request('get', url),
+    post: (url, data) => request('post', url, data),
+    patch: (url, data) => request('patch', url, data),
+
+    // Notion returns at most 100 results per query, so keep following
+    // next_cursor until has_more is false.
+    async queryDatabase(databaseId, body = {}) {
+      const results = [];
+      let cursor = null;
+
+      do {
+        const data = await request('post', `/databases/${databaseId}/query`, {
+          ...body,
+          page_size: PAGE_SIZE,
+          ...(cursor && { start_cursor: cursor })
+        }, { idempotent: true });
+        results.push(...data.results);
+        cursor = data.has_more ? data.next_cursor : null;
+      } while (cursor);
+
+      return results;
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { customerKey, firstPurchaseDates } from '../../src/shared/customers.js';
+import { averageOrderValue } from '../../src/shared/metrics.js';
+import { periodEnd, toPeriodStart } from '../../src/shared/periods.js';
+import { aggregateSales, breakdownBy, breakdownByProduct, summarizeSales } from '../aggregate.js';
+import { formatDay, formatMonth } from './format.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_CUSTOMERS = 10;
+
+function describeRange(from, to) {
+  if (from === toPeriodStart(from, 'month') && to === periodEnd(from, 'month')) {
+    return formatMonth(from);
+  }
+  return `${formatDay(from)} – ${formatDay(to)}`;
+}
+
+// Everything the printable report shows for sales dated `from`..`to`,
+// computed with the same aggregation as GET /proxy/notion so the numbers
+// match the dashboard's. `storeName` is only printed; `catalog` groups the
+// products like the dashboard does.
+export async function buildReport(storage, { from, to, storeName, catalog }) {
+  const sales = await storage.listSales({ from, to });
+  const firstPurchases = firstPurchaseDates(await storage.listSales());
+
+  // Daily bars for up to two months, monthly beyond that
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  const granularity = days <= 62 ? 'day' : 'month';
+  const { series } = aggregateSales(sales, { granularity, range: { from, to }, firstPurchases, catalog });
+
+  const totals = summarizeSales(sales, firstPurchases, { from });
+
+  return {
+    title: describeRange(from, to),
+    storeName,
+    from,
+    to,
+    generatedAt: new Date().toISOString(),
+    granularity,
+    totals: { ...totals, avgOrderValue: averageOrderValue(totals) },
+    series,
+    products: breakdownByProduct(sales, catalog),
+    paymentMethods: breakdownBy(sales, (sale) => sale.paymentMethod),
+    topCustomers: breakdownBy(sales, customerKey, (sale) => sale.customerName).slice(0, TOP_CUSTOMERS),
+    orders: [...sales].reverse()
+  };
+}
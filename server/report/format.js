@@ -0,0 +1,36 @@
+// Display helpers shared by the HTML and PDF renderers.
+
+import { STATUS_LABELS, statusOf } from '../../src/shared/orderStatus.js';
+
+export function formatDay(date) {
+  return new Date(`${date.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-PH', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+export function formatMonth(date) {
+  return new Date(`${date.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-PH', {
+    year: 'numeric', month: 'long', timeZone: 'UTC'
+  });
+}
+
+// The PDF's built-in fonts have no ₱ glyph, so it passes its own prefix
+export function formatMoney(amount, prefix = '₱') {
+  return prefix + amount.toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// "Refunded ₱50.00" for refunds, the plain label otherwise
+export function formatStatus(sale, prefix) {
+  const status = statusOf(sale);
+  return status === 'refunded'
+    ? `${STATUS_LABELS.refunded} ${formatMoney(sale.refundedAmount || 0, prefix)}`
+    : STATUS_LABELS[status];
+}
+
+export function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+export function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' });
+}
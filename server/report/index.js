@@ -0,0 +1,5 @@
+export { buildReport } from './buildReport.js';
+export { renderReportHtml } from './renderHtml.js';
+export { renderReportPdf } from './renderPdf.js';
+
+export const REPORT_FORMATS = ['html', 'pdf'];
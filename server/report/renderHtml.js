@@ -0,0 +1,152 @@
+import { isCancelled } from '../../src/shared/orderStatus.js';
+import { formatDay, formatMoney, formatShare, formatStatus, formatTimestamp } from './format.js';
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 180;
+const MAX_AXIS_LABELS = 12;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Plain SVG bars so the chart prints without any script running
+function renderTrend(series) {
+  if (series.length === 0) {
+    return '<p class="empty">No sales in this period.</p>';
+  }
+
+  const max = Math.max(...series.map((bucket) => bucket.revenue), 1);
+  const slot = CHART_WIDTH / series.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(series.length / MAX_AXIS_LABELS);
+
+  const bars = series.map((bucket, index) => {
+    const height = (bucket.revenue / max) * CHART_HEIGHT;
+    const x = index * slot + (slot - barWidth) / 2;
+    const label = index % labelEvery === 0
+      ? `<text x="${x + barWidth / 2}" y="${CHART_HEIGHT + 16}" text-anchor="middle">${escapeHtml(bucket.name)}</text>`
+      : '';
+    return `<rect x="${x}" y="${CHART_HEIGHT - height}" width="${barWidth}" height="${height}"><title>${escapeHtml(bucket.name)}: ${formatMoney(bucket.revenue)}</title></rect>${label}`;
+  }).join('');
+
+  return `<svg class="trend" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 24}" role="img" aria-label="Revenue trend">${bars}</svg>`;
+}
+
+// `units` adds a units-sold column (products only)
+function renderBreakdown(title, groups, { units = false } = {}) {
+  const rows = groups.map((group) => `
+        <tr>
+          <td>${escapeHtml(group.name)}</td>
+          <td class="num">${group.orders}</td>${units ? `
+          <td class="num">${group.units.toLocaleString('en-PH')}</td>` : ''}
+          <td class="num">${formatMoney(group.revenue)}</td>
+          <td class="num">${formatShare(group.share)}</td>
+        </tr>`).join('');
+
+  return `
+    <section>
+      <h2>${escapeHtml(title)}</h2>
+      <table>
+        <thead><tr><th>Name</th><th class="num">Orders</th>${units ? '<th class="num">Units</th>' : ''}<th class="num">Revenue</th><th class="num">Share</th></tr></thead>
+        <tbody>${rows || `<tr><td colspan="${units ? 5 : 4}" class="empty">No sales in this period.</td></tr>`}</tbody>
+      </table>
+    </section>`;
+}
+
+function renderOrders(orders) {
+  const rows = orders.map((sale) => `
+        <tr${isCancelled(sale) ? ' class="cancelled"' : ''}>
+          <td>${formatDay(sale.date)}</td>
+          <td>${escapeHtml(sale.customerName)}</td>
+          <td>${escapeHtml(sale.productName)}</td>
+          <td>${escapeHtml(sale.paymentMethod)}</td>
+          <td>${escapeHtml(formatStatus(sale))}</td>
+          <td class="num">${formatMoney(sale.amount)}</td>
+        </tr>`).join('');
+
+  return `
+    <section class="orders">
+      <h2>Orders (${orders.length})</h2>
+      <table>
+        <thead><tr><th>Date</th><th>Customer</th><th>Product</th><th>Payment</th><th>Status</th><th class="num">Amount</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="6" class="empty">No sales in this period.</td></tr>'}</tbody>
+      </table>
+    </section>`;
+}
+
+// A standalone, print-ready page for the report from buildReport.js
+export function renderReportHtml(report) {
+  const { totals } = report;
+  const cards = [
+    ['Revenue', formatMoney(totals.revenue)],
+    ['Orders', totals.orders.toLocaleString('en-PH')],
+    ['Avg Order Value', formatMoney(totals.avgOrderValue)],
+    ['Customers', totals.customers.toLocaleString('en-PH')],
+    ['New Customers', totals.newCustomers.toLocaleString('en-PH')]
+  ];
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Sales Report – ${escapeHtml(report.title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1F2937; margin: 32px; font-size: 13px; }
+    h1 { margin: 0; font-size: 24px; }
+    h2 { font-size: 16px; margin: 28px 0 8px; }
+    .meta { color: #6B7280; margin: 4px 0 24px; }
+    .totals { display: grid; grid-template-columns: repeat(5, 1fr); gap: 12px; }
+    .total { border: 1px solid #E5E7EB; border-radius: 8px; padding: 12px; }
+    .total__label { color: #6B7280; font-size: 12px; }
+    .total__value { font-size: 18px; font-weight: 600; margin-top: 4px; }
+    .trend { width: 100%; height: auto; }
+    .trend rect { fill: #3B82F6; }
+    .trend text { font-size: 10px; fill: #6B7280; }
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E5E7EB; }
+    th { font-size: 12px; color: #6B7280; font-weight: 600; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .empty { color: #6B7280; text-align: center; }
+    .cancelled td { color: #9CA3AF; text-decoration: line-through; }
+    .print { float: right; padding: 8px 16px; border: none; border-radius: 6px; background: #3B82F6; color: #fff; cursor: pointer; }
+    @media print {
+      body { margin: 0; }
+      .print { display: none; }
+      section { break-inside: avoid; }
+      .orders { break-inside: auto; }
+      thead { display: table-header-group; }
+      tr { break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print</button>
+  <h1>Sales Report – ${escapeHtml(report.title)}</h1>
+  <p class="meta">${report.storeName ? `${escapeHtml(report.storeName)} · ` : ''}${formatDay(report.from)} to ${formatDay(report.to)} · Generated ${escapeHtml(formatTimestamp(report.generatedAt))}</p>
+
+  <div class="totals">
+    ${cards.map(([label, value]) => `<div class="total"><div class="total__label">${label}</div><div class="total__value">${value}</div></div>`).join('\n    ')}
+  </div>
+
+  <section>
+    <h2>Revenue by ${report.granularity === 'day' ? 'Day' : 'Month'}</h2>
+    ${renderTrend(report.series)}
+  </section>
+
+  <div class="columns">
+    ${renderBreakdown('Products', report.products, { units: true })}
+    ${renderBreakdown('Payment Methods', report.paymentMethods)}
+  </div>
+  ${renderBreakdown('Top Customers', report.topCustomers)}
+  ${renderOrders(report.orders)}
+</body>
+</html>
+`;
+}
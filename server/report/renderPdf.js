@@ -0,0 +1,188 @@
+import PDFDocument from 'pdfkit';
+import { formatDay, formatMoney, formatShare, formatStatus, formatTimestamp } from './format.js';
+
+const MARGIN = 40;
+const PRIMARY = '#3B82F6';
+const MUTED = '#6B7280';
+const TEXT = '#1F2937';
+const BORDER = '#E5E7EB';
+const ROW_HEIGHT = 18;
+const MAX_AXIS_LABELS = 12;
+
+// Helvetica has no ₱ glyph
+const money = (amount) => formatMoney(amount, 'PHP ');
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+// Starts a new page when `height` more points would run past the bottom
+// margin.
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(TEXT).text(text, MARGIN);
+  doc.moveDown(0.4);
+}
+
+function drawTotals(doc, totals) {
+  const cards = [
+    ['Revenue', money(totals.revenue)],
+    ['Orders', totals.orders.toLocaleString('en-PH')],
+    ['Avg Order Value', money(totals.avgOrderValue)],
+    ['Customers', totals.customers.toLocaleString('en-PH')],
+    ['New Customers', totals.newCustomers.toLocaleString('en-PH')]
+  ];
+  const gap = 8;
+  const width = (contentWidth(doc) - gap * (cards.length - 1)) / cards.length;
+  const top = doc.y;
+
+  cards.forEach(([label, value], index) => {
+    const x = MARGIN + index * (width + gap);
+    doc.roundedRect(x, top, width, 48, 4).strokeColor(BORDER).stroke();
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(label, x + 8, top + 8, { width: width - 16 });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT).text(value, x + 8, top + 24, { width: width - 16 });
+  });
+  doc.x = MARGIN;
+  doc.y = top + 48;
+}
+
+function drawTrend(doc, series) {
+  if (series.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED).text('No sales in this period.', MARGIN);
+    return;
+  }
+
+  const height = 120;
+  ensureSpace(doc, height + 20);
+  const top = doc.y;
+  const width = contentWidth(doc);
+  const max = Math.max(...series.map((bucket) => bucket.revenue), 1);
+  const slot = width / series.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(series.length / MAX_AXIS_LABELS);
+
+  series.forEach((bucket, index) => {
+    const barHeight = (bucket.revenue / max) * height;
+    const x = MARGIN + index * slot + (slot - barWidth) / 2;
+    if (barHeight > 0) {
+      doc.rect(x, top + height - barHeight, barWidth, barHeight).fill(PRIMARY);
+    }
+    if (index % labelEvery === 0) {
+      doc.font('Helvetica').fontSize(7).fillColor(MUTED)
+        .text(bucket.name, x + barWidth / 2 - 30, top + height + 4, { width: 60, align: 'center', lineBreak: false });
+    }
+  });
+  doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height).strokeColor(BORDER).stroke();
+  doc.x = MARGIN;
+  doc.y = top + height + 18;
+}
+
+// `columns` are { header, width (fraction of the page), align, value(row) }.
+// The header row is repeated after every page break.
+function drawTable(doc, columns, rows) {
+  const width = contentWidth(doc);
+  const widths = columns.map((column) => column.width * width);
+
+  const drawRow = (cells, font, color) => {
+    const top = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      doc.font(font).fontSize(8).fillColor(color).text(String(cell), x + 4, top + 5, {
+        width: widths[index] - 8,
+        align: columns[index].align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += widths[index];
+    });
+    doc.moveTo(MARGIN, top + ROW_HEIGHT).lineTo(MARGIN + width, top + ROW_HEIGHT).strokeColor(BORDER).stroke();
+    doc.x = MARGIN;
+    doc.y = top + ROW_HEIGHT;
+  };
+  const drawHeader = () => drawRow(columns.map((column) => column.header), 'Helvetica-Bold', MUTED);
+
+  drawHeader();
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED).text('No sales in this period.', MARGIN, doc.y + 5);
+    return;
+  }
+  rows.forEach((row) => {
+    if (ensureSpace(doc, ROW_HEIGHT)) {
+      drawHeader();
+    }
+    drawRow(columns.map((column) => column.value(row)), 'Helvetica', TEXT);
+  });
+}
+
+const breakdownColumns = [
+  { header: 'Name', width: 0.49, value: (group) => group.name },
+  { header: 'Orders', width: 0.13, align: 'right', value: (group) => group.orders },
+  { header: 'Revenue', width: 0.25, align: 'right', value: (group) => money(group.revenue) },
+  { header: 'Share', width: 0.13, align: 'right', value: (group) => formatShare(group.share) }
+];
+
+const productColumns = [
+  { header: 'Name', width: 0.39, value: (group) => group.name },
+  { header: 'Orders', width: 0.12, align: 'right', value: (group) => group.orders },
+  { header: 'Units', width: 0.12, align: 'right', value: (group) => group.units.toLocaleString('en-PH') },
+  { header: 'Revenue', width: 0.24, align: 'right', value: (group) => money(group.revenue) },
+  { header: 'Share', width: 0.13, align: 'right', value: (group) => formatShare(group.share) }
+];
+
+const orderColumns = [
+  { header: 'Date', width: 0.13, value: (sale) => formatDay(sale.date) },
+  { header: 'Customer', width: 0.2, value: (sale) => sale.customerName },
+  { header: 'Product', width: 0.2, value: (sale) => sale.productName },
+  { header: 'Payment', width: 0.11, value: (sale) => sale.paymentMethod },
+  { header: 'Status', width: 0.19, value: (sale) => formatStatus(sale, 'PHP ') },
+  { header: 'Amount', width: 0.17, align: 'right', value: (sale) => money(sale.amount) }
+];
+
+// Renders the report from buildReport.js as an A4 PDF. Resolves with the
+// whole file in a Buffer.
+export function renderReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: { Title: `Sales Report – ${report.title}` }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(TEXT).text(`Sales Report – ${report.title}`);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(`${report.storeName ? `${report.storeName} · ` : ''}${formatDay(report.from)} to ${formatDay(report.to)} · Generated ${formatTimestamp(report.generatedAt)}`);
+    doc.moveDown(1.2);
+
+    drawTotals(doc, report.totals);
+
+    heading(doc, `Revenue by ${report.granularity === 'day' ? 'Day' : 'Month'}`);
+    drawTrend(doc, report.series);
+
+    heading(doc, 'Products');
+    drawTable(doc, productColumns, report.products);
+
+    heading(doc, 'Payment Methods');
+    drawTable(doc, breakdownColumns, report.paymentMethods);
+
+    heading(doc, 'Top Customers');
+    drawTable(doc, breakdownColumns, report.topCustomers);
+
+    heading(doc, `Orders (${report.orders.length})`);
+    drawTable(doc, orderColumns, report.orders);
+
+    doc.end();
+  });
+}
@@ -0,0 +1,541 @@
+import express from 'express';
+import { randomUUID } from 'node:crypto';
+import { applyCatalog, createCatalogIndex, productKey, validateCatalog } from '../src/shared/catalog.js';
+import { firstPurchaseDates } from '../src/shared/customers.js';
+import { hasFilters, matchesFilters, parseFilters } from '../src/shared/filters.js';
+import { saleItems, sameItems } from '../src/shared/lineItems.js';
+import { GRANULARITIES, isGranularity, periodEnd, periodToDate, previousRange, toPeriodStart } from '../src/shared/periods.js';
+import { STATUS_LABELS, isFinal, statusOf, validateStatusChange } from '../src/shared/orderStatus.js';
+import { validatePaymentMethods } from '../src/shared/payments.js';
+import { PAYMENT_METHODS, validateSale } from '../src/shared/saleSchema.js';
+import { can } from '../src/shared/roles.js';
+import { MAX_TARGETS, targetScope, validateTarget } from '../src/shared/targets.js';
+import { aggregateSales, customerCountChanges, listFilterOptions, summarizeSales } from './aggregate.js';
+import { requirePermission } from './auth.js';
+import { cacheResponses } from './cache.js';
+import { buildCustomerDirectory, customerSales, mergeCustomers } from './customers.js';
+import { NotFoundError, ValidationError } from './errors.js';
+import { EXPORT_FORMATS, exportSales } from './exportSales.js';
+import { idempotent } from './idempotency.js';
+import { MAX_IMPORT_ROWS, importSales } from './importSales.js';
+import { ALL_STORES } from './storage/index.js';
+import { SALE_FIELDS } from './storage/notionMapping.js';
+import { REPORT_FORMATS, buildReport, renderReportHtml, renderReportPdf } from './report/index.js';
+
+// The sales API for one store. server.js mounts it under
+// /proxy/stores/:storeId and, for clients that predate multiple stores,
+// under /proxy for the default store. Every handler reads from
+// `req.storage`, which is the combined read-only view when :storeId is
+// "all".
+export function createSalesRouter({ stores, responseCache, settings, idempotencyKeys, events }) {
+  const router = express.Router({ mergeParams: true });
+
+  // The methods a store accepts: the list edited on the setup screen, else
+  // the options of its Notion select property, else the built-in list. The
+  // combined view accepts any store's methods.
+  async function paymentMethodsFor(store) {
+    if (store.id === ALL_STORES) {
+      const lists = await Promise.all(stores.list.map(paymentMethodsFor));
+      return { paymentMethods: [...new Set(lists.flatMap((list) => list.paymentMethods))], source: 'combined' };
+    }
+    const saved = settings.forStore(store.id).paymentMethods;
+    if (saved?.length) {
+      return { paymentMethods: saved, source: 'settings' };
+    }
+    const options = await store.storage.listPaymentMethodOptions?.();
+    if (options?.length) {
+      return { paymentMethods: options, source: 'notion' };
+    }
+    return { paymentMethods: PAYMENT_METHODS, source: 'default' };
+  }
+
+  // The store's product catalog. The combined view uses every store's,
+  // the first store listing a product winning.
+  function catalogFor(store) {
+    if (store.id === ALL_STORES) {
+      const seen = new Set();
+      return stores.list.flatMap(catalogFor).filter((entry) => {
+        const spellings = [entry.name, ...entry.aliases].map(productKey);
+        if (spellings.some((key) => seen.has(key))) return false;
+        spellings.forEach((key) => seen.add(key));
+        return true;
+      });
+    }
+    return settings.forStore(store.id).catalog || [];
+  }
+
+  // The store's sales targets. The combined view adds up the stores'
+  // targets that have the same scope; its targets can't be edited.
+  function targetsFor(store) {
+    if (store.id !== ALL_STORES) {
+      return settings.forStore(store.id).targets || [];
+    }
+    const combined = new Map();
+    stores.list.flatMap(targetsFor).forEach((target) => {
+      const scope = targetScope(target);
+      const existing = combined.get(scope);
+      combined.set(scope, existing
+        ? { ...existing, value: Math.round((existing.value + target.value) * 100) / 100 }
+        : { ...target, id: `${ALL_STORES}:${scope}` });
+    });
+    return Array.from(combined.values());
+  }
+
+  // Checks a new or edited target and saves the store's list with it
+  async function saveTarget(req, id) {
+    if (req.store.id === ALL_STORES) {
+      throw new ValidationError({ store: 'Choose a store to edit its targets' });
+    }
+    const { value, errors } = validateTarget(req.body);
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+    const target = { id: id || randomUUID(), ...value };
+    // Checked against the saved list inside the settings queue, so parallel
+    // requests can't both pass the checks and overwrite each other
+    await settings.updateStore(req.store.id, ({ targets = [] }) => {
+      if (id && !targets.some((entry) => entry.id === id)) {
+        throw new NotFoundError(`Target ${id} not found`);
+      }
+      if (targets.some((entry) => entry.id !== id && targetScope(entry) === targetScope(value))) {
+        throw new ValidationError({ period: 'There is already a target for this period and scope' });
+      }
+      if (!id && targets.length >= MAX_TARGETS) {
+        throw new ValidationError({ targets: `A store can have at most ${MAX_TARGETS} targets` });
+      }
+      return { targets: id ? targets.map((entry) => (entry.id === id ? target : entry)) : [...targets, target] };
+    });
+    return target;
+  }
+
+  // Sales matching `filters`. A product filter naming a catalog product
+  // also matches the sales spelled like one of its aliases.
+  async function listSales(req, filters = {}) {
+    const catalog = catalogFor(req.store);
+    if (!filters.product || !catalog.length) {
+      return req.storage.listSales(filters);
+    }
+    const sales = await req.storage.listSales({ ...filters, product: '' });
+    return sales.filter(productMatcher(req, filters.product));
+  }
+
+  // Whether a sale has `product`, or one of its catalog aliases, on a line
+  function productMatcher(req, product) {
+    const { groupKey } = createCatalogIndex(catalogFor(req.store));
+    const wanted = groupKey(product);
+    return (sale) => saleItems(sale).some((item) => groupKey(item.productName) === wanted);
+  }
+
+  // The same test as listSales, for sales already loaded
+  function salesMatcher(req, filters) {
+    const hasWantedProduct = filters.product ? productMatcher(req, filters.product) : () => true;
+    return (sale) => matchesFilters(sale, { ...filters, product: '' }) && hasWantedProduct(sale);
+  }
+
+  // The period in progress the metric cards add up when the dashboard has
+  // no closed date range: up to today, or to `to`. Null otherwise.
+  function periodToDateRanges(filters, granularity) {
+    if (filters.from && filters.to) return null;
+    const today = new Date().toLocaleDateString('en-CA');
+    const ranges = periodToDate(filters.to || today, granularity, filters.from);
+    return ranges.current.from <= ranges.current.to ? ranges : null;
+  }
+
+  // Tells the store's live dashboards (see events.js) what changed
+  function announce(req, action, ids) {
+    events.publish(req.store.id, { action, ids });
+  }
+
+  async function saleOptions(req) {
+    const { paymentMethods } = await paymentMethodsFor(req.store);
+    return { values: { paymentMethod: paymentMethods } };
+  }
+
+  router.use((req, res, next) => {
+    const store = req.params.storeId ? stores.get(req.params.storeId) : stores.defaultStore;
+    if (!store) {
+      throw new NotFoundError(`Unknown store "${req.params.storeId}"`);
+    }
+    req.store = store;
+    req.storage = store.storage;
+    next();
+  });
+
+  // Test storage connection
+  router.get('/test-database', requirePermission('admin'), async (req, res) => {
+    const data = await req.storage.testConnection();
+    res.json({
+      success: true,
+      message: 'Database connection successful',
+      data
+    });
+  });
+
+  // Points sale fields at other Notion properties, after checking their
+  // types. Saved to the settings file so it survives restarts.
+  router.put('/property-mapping', requirePermission('admin'), async (req, res) => {
+    if (!req.storage.setMapping) {
+      throw new ValidationError({ mapping: `${req.store.name} has no property mapping to change` });
+    }
+    const { mapping } = req.body || {};
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new ValidationError({ mapping: 'mapping must be an object of sale field -> property name' });
+    }
+    const errors = {};
+    Object.entries(mapping).forEach(([field, name]) => {
+      if (!(field in SALE_FIELDS)) errors[field] = `Unknown field "${field}"`;
+      else if (typeof name !== 'string') errors[field] = `${SALE_FIELDS[field].label} must be a property name`;
+    });
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const saved = await req.storage.setMapping(mapping);
+    await settings.updateStore(req.store.id, { notionMapping: saved });
+
+    res.json({ success: true, message: `Property mapping saved for ${req.store.name}`, mapping: saved });
+  });
+
+  // Needed by every role that records sales, so no permission check
+  router.get('/payment-methods', async (req, res) => {
+    res.json({ success: true, ...(await paymentMethodsFor(req.store)) });
+  });
+
+  router.put('/payment-methods', requirePermission('admin'), async (req, res) => {
+    if (req.store.id === ALL_STORES) {
+      throw new ValidationError({ paymentMethods: 'Choose a store to edit its payment methods' });
+    }
+    const { value, error } = validatePaymentMethods(req.body?.paymentMethods);
+    if (error) {
+      throw new ValidationError({ paymentMethods: error });
+    }
+
+    await settings.updateStore(req.store.id, { paymentMethods: value });
+
+    res.json({ success: true, message: `Payment methods saved for ${req.store.name}`, paymentMethods: value, source: 'settings' });
+  });
+
+  // Needed by the sale form's autocomplete, so no permission check
+  router.get('/catalog', async (req, res) => {
+    res.json({ success: true, catalog: catalogFor(req.store) });
+  });
+
+  router.put('/catalog', requirePermission('admin'), async (req, res) => {
+    if (req.store.id === ALL_STORES) {
+      throw new ValidationError({ catalog: 'Choose a store to edit its product catalog' });
+    }
+    const { value, error } = validateCatalog(req.body?.catalog);
+    if (error) {
+      throw new ValidationError({ catalog: error });
+    }
+
+    await settings.updateStore(req.store.id, { catalog: value });
+
+    res.json({ success: true, message: `Product catalog saved for ${req.store.name}`, catalog: value });
+  });
+
+  // Create sale. Send an Idempotency-Key header to make retries safe. A
+  // dashboard sends its granularity and filters in the query string to get
+  // back `customerCounts`, how the sale changed the customer counts it shows
+  // (see customerCountChanges in aggregate.js).
+  router.post('/notion', requirePermission('sales:create'), idempotent(idempotencyKeys), async (req, res) => {
+    const { value, errors } = validateSale(req.body, await saleOptions(req));
+    const wantsCounts = req.query.granularity !== undefined && can(req.user.role, 'sales:read');
+    const { filters, errors: filterErrors } = parseFilters(req.query);
+    const granularity = req.query.granularity;
+    if (wantsCounts) {
+      Object.assign(errors, filterErrors);
+      if (!isGranularity(granularity)) {
+        errors.granularity = `granularity must be one of: ${GRANULARITIES.join(', ')}`;
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const sale = await req.storage.createSale(applyCatalog(value, createCatalogIndex(catalogFor(req.store))));
+    announce(req, 'created', [sale.id]);
+
+    let customerCounts;
+    if (wantsCounts) {
+      const ranges = periodToDateRanges(filters, granularity);
+      customerCounts = customerCountChanges(await req.storage.listSales(), sale, {
+        granularity,
+        matches: salesMatcher(req, filters),
+        current: ranges?.current
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Data successfully saved to ${req.storage.label}`,
+      pageId: sale.id,
+      customerCounts
+    });
+  });
+
+  // Distinct products, payment methods and customers for the filter bar
+  router.get('/notion/options', requirePermission('sales:read'), cacheResponses(responseCache), async (req, res) => {
+    const sales = await req.storage.listSales();
+    res.json({ success: true, ...listFilterOptions(sales, catalogFor(req.store)) });
+  });
+
+  // Update sale
+  router.patch('/notion/:id', requirePermission('sales:update'), async (req, res) => {
+    const { value, errors } = validateSale(req.body, { partial: true, ...(await saleOptions(req)) });
+    ['status', 'refundedAmount'].forEach((field) => {
+      if (req.body?.[field] !== undefined) {
+        errors[field] = `Change the status with PATCH ${req.baseUrl}/notion/${req.params.id}/status`;
+      }
+    });
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const changes = applyCatalog(value, createCatalogIndex(catalogFor(req.store)));
+    // The edit form sends every field, so only actual changes are refused
+    const existing = await req.storage.getSale(req.params.id);
+    if (isFinal(existing)) {
+      const status = statusOf(existing);
+      if (changes.amount !== undefined && changes.amount !== existing.amount) {
+        errors.amount = `A ${status} order's amount can't be changed`;
+      }
+      if (changes.items && !sameItems(existing, changes)) {
+        errors.items = `A ${status} order's line items can't be changed`;
+      }
+      if (Object.keys(errors).length > 0) {
+        throw new ValidationError(errors);
+      }
+    }
+
+    const sale = await req.storage.updateSale(req.params.id, changes);
+    announce(req, 'updated', [sale.id]);
+
+    res.json({
+      success: true,
+      message: `Sale updated in ${req.storage.label}`,
+      pageId: sale.id
+    });
+  });
+
+  // Moves a sale along its status lifecycle, see src/shared/orderStatus.js.
+  // Body: { status, refundedAmount } with the amount only for refunds.
+  router.patch('/notion/:id/status', requirePermission('sales:update'), async (req, res) => {
+    const sale = await req.storage.getSale(req.params.id);
+    const { value, errors } = validateStatusChange(sale, req.body);
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    await req.storage.updateSale(req.params.id, value);
+    announce(req, 'updated', [req.params.id]);
+
+    res.json({
+      success: true,
+      message: `Order marked ${STATUS_LABELS[value.status].toLowerCase()}`,
+      pageId: req.params.id,
+      ...value
+    });
+  });
+
+  // Delete (archive) sale
+  router.delete('/notion/:id', requirePermission('sales:delete'), async (req, res) => {
+    // A 404 for sales of another store, like PATCH
+    await req.storage.getSale(req.params.id);
+    await req.storage.deleteSale(req.params.id);
+    announce(req, 'deleted', [req.params.id]);
+
+    res.json({
+      success: true,
+      message: `Sale deleted from ${req.storage.label}`,
+      pageId: req.params.id
+    });
+  });
+
+  // Fetch data
+  router.get('/notion', requirePermission('sales:read'), cacheResponses(responseCache), async (req, res) => {
+    const granularity = req.query.granularity || 'month';
+    const { filters, errors } = parseFilters(req.query);
+    if (!isGranularity(granularity)) {
+      errors.granularity = `granularity must be one of: ${GRANULARITIES.join(', ')}`;
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const catalog = catalogFor(req.store);
+    const sales = await listSales(req, filters);
+    // New customers are judged against the whole history, not the filtered slice
+    const allSales = hasFilters(filters) ? await req.storage.listSales() : sales;
+    const firstPurchases = firstPurchaseDates(allSales);
+    const { series, products, orders, payments } = aggregateSales(sales, { granularity, range: filters, firstPurchases, catalog });
+
+    // With a closed date range the metric cards compare against the range
+    // of the same length right before it. Otherwise they compare the
+    // period in progress (up to today, or to `to`) with the same days of
+    // the period before, and `current` holds what that comparison counts.
+    let previous = null;
+    let current = null;
+    if (filters.from && filters.to) {
+      const range = previousRange(filters.from, filters.to);
+      const previousSales = await listSales(req, { ...filters, ...range });
+      previous = { ...range, ...summarizeSales(previousSales, firstPurchases, range) };
+    } else {
+      const ranges = periodToDateRanges(filters, granularity);
+      if (ranges) {
+        const currentSales = sales.filter((sale) => matchesFilters(sale, ranges.current));
+        const previousSales = await listSales(req, { ...filters, ...ranges.previous });
+        current = { ...ranges.current, ...summarizeSales(currentSales, firstPurchases, ranges.current) };
+        previous = { ...ranges.previous, ...summarizeSales(previousSales, firstPurchases, ranges.previous) };
+      }
+    }
+
+    res.json({ success: true, granularity, filters, series, products, orders, payments, previous, current });
+  });
+
+  // Live updates for the dashboard: an event stream of this store's
+  // changes, see events.js. Pass the token as ?access_token=.
+  router.get('/events', requirePermission('sales:read'), (req, res) => {
+    events.subscribe(req, res, req.store.id);
+  });
+
+  // Revenue and order targets, see src/shared/targets.js
+  router.get('/targets', requirePermission('sales:read'), async (req, res) => {
+    res.json({ success: true, targets: targetsFor(req.store) });
+  });
+
+  router.post('/targets', requirePermission('admin'), async (req, res) => {
+    const target = await saveTarget(req);
+    res.status(201).json({ success: true, message: `Target saved for ${req.store.name}`, target });
+  });
+
+  router.put('/targets/:id', requirePermission('admin'), async (req, res) => {
+    const target = await saveTarget(req, req.params.id);
+    res.json({ success: true, message: `Target updated for ${req.store.name}`, target });
+  });
+
+  router.delete('/targets/:id', requirePermission('admin'), async (req, res) => {
+    if (req.store.id === ALL_STORES) {
+      throw new NotFoundError(`Target ${req.params.id} not found`);
+    }
+    await settings.updateStore(req.store.id, ({ targets = [] }) => {
+      if (!targets.some((target) => target.id === req.params.id)) {
+        throw new NotFoundError(`Target ${req.params.id} not found`);
+      }
+      return { targets: targets.filter((target) => target.id !== req.params.id) };
+    });
+    res.json({ success: true, message: `Target deleted from ${req.store.name}`, id: req.params.id });
+  });
+
+  // Every customer with their totals, for the customer directory
+  router.get('/customers', requirePermission('sales:read'), cacheResponses(responseCache), async (req, res) => {
+    const customers = buildCustomerDirectory(await req.storage.listSales());
+    res.json({ success: true, customers });
+  });
+
+  // Gives the `from` customers' sales the name and contact of `into`
+  router.post('/customers/merge', requirePermission('sales:update'), async (req, res) => {
+    const ids = await mergeCustomers(req.storage, req.body || {});
+    announce(req, 'updated', ids);
+    const merged = ids.length;
+    res.json({ success: true, message: `Merged ${merged} sale${merged === 1 ? '' : 's'}`, merged });
+  });
+
+  // One customer's totals and full order history, newest first. `key` is
+  // the customer key from GET /customers, URL-encoded.
+  router.get('/customers/:key', requirePermission('sales:read'), cacheResponses(responseCache), async (req, res) => {
+    const sales = await req.storage.listSales();
+    // Built from every sale so near-duplicates are still flagged
+    const customer = buildCustomerDirectory(sales).find((entry) => entry.key === req.params.key);
+    if (!customer) {
+      throw new NotFoundError(`Customer ${req.params.key} not found`);
+    }
+    res.json({ success: true, customer, orders: customerSales(sales, req.params.key) });
+  });
+
+  // Bulk import (rows already mapped to sale fields by the upload screen)
+  router.post('/import', requirePermission('sales:import'), async (req, res) => {
+    const { rows, dryRun = false, skipDuplicates = true, firstRow = 1 } = req.body;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError({ rows: 'rows must be a non-empty array' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError({ rows: `At most ${MAX_IMPORT_ROWS} rows can be imported per request` });
+    }
+
+    const report = await importSales(req.storage, rows, {
+      dryRun: Boolean(dryRun),
+      skipDuplicates: Boolean(skipDuplicates),
+      firstRow: Number(firstRow) || 1,
+      paymentMethods: (await paymentMethodsFor(req.store)).paymentMethods,
+      catalog: catalogFor(req.store)
+    });
+    announce(req, 'created', report.filter((entry) => entry.status === 'created').map((entry) => entry.id));
+    const summary = report.reduce((counts, entry) => ({
+      ...counts,
+      [entry.status]: (counts[entry.status] || 0) + 1
+    }), {});
+
+    res.json({ success: true, dryRun: Boolean(dryRun), summary, report });
+  });
+
+  // Download every sale matching the dashboard filters
+  router.get('/export', requirePermission('reports:read'), async (req, res) => {
+    const format = req.query.format || 'csv';
+    const { filters, errors } = parseFilters(req.query);
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.format = `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const sales = await listSales(req, filters);
+    const { contentType, body } = await exportSales(sales, format);
+    const range = [filters.from, filters.to].filter(Boolean).join('_to_');
+    const fileName = `sales-${req.store.id}-${range || new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Type', contentType);
+    res.attachment(fileName);
+    res.send(body);
+  });
+
+  // Printable report for ?month=YYYY-MM or a full ?from=&to= range,
+  // defaulting to the current month.
+  router.get('/report', requirePermission('reports:read'), async (req, res) => {
+    const format = req.query.format || 'html';
+    const { filters, errors } = parseFilters(req.query);
+    const month = typeof req.query.month === 'string' ? req.query.month.trim() : '';
+    if (!REPORT_FORMATS.includes(format)) {
+      errors.format = `format must be one of: ${REPORT_FORMATS.join(', ')}`;
+    }
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      errors.month = 'month must be in YYYY-MM format';
+    }
+    if (!month && Boolean(filters.from) !== Boolean(filters.to)) {
+      errors[filters.from ? 'to' : 'from'] = 'from and to must be given together';
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    let range = { from: filters.from, to: filters.to };
+    if (month || !filters.from) {
+      const from = toPeriodStart(month ? `${month}-01` : new Date().toISOString().slice(0, 10), 'month');
+      range = { from, to: periodEnd(from, 'month') };
+    }
+
+    const report = await buildReport(req.storage, { ...range, storeName: req.store.name, catalog: catalogFor(req.store) });
+    const fileName = `sales-report-${req.store.id}-${range.from}_to_${range.to}.${format}`;
+
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="${fileName}"`);
+      res.send(await renderReportPdf(report));
+      return;
+    }
+    res.type('html').send(renderReportHtml(report));
+  });
+
+  return router;
+}
@@ -0,0 +1,72 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Settings changed from the dashboard (as opposed to .env, which only an
+// admin with server access can change), kept in one JSON file:
+//
+//   { stores: { <storeId>: {
+//       notionMapping: { amount: 'Amount', ... },
+//       paymentMethods: ['Cash', ...],
+//       catalog: [{ name, aliases, color, price }, ...],
+//       targets: [{ id, granularity, period, metric, value, ... }, ...]
+//   } } }
+//
+// load() must finish before get() is used.
+export function createSettingsStore({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  let settings = {};
+  // Writes are chained so two requests can't interleave read-modify-write.
+  let queue = Promise.resolve();
+
+  async function save(next) {
+    await mkdir(path.dirname(resolvedPath), { recursive: true });
+    const tempPath = `${resolvedPath}.tmp`;
+    await writeFile(tempPath, JSON.stringify(next, null, 2));
+    await rename(tempPath, resolvedPath);
+  }
+
+  return {
+    filePath: resolvedPath,
+
+    async load() {
+      try {
+        settings = JSON.parse(await readFile(resolvedPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        settings = {};
+      }
+      return settings;
+    },
+
+    get() {
+      return settings;
+    },
+
+    // Settings for one store, or {} when it has none
+    forStore(storeId) {
+      return settings.stores?.[storeId] || {};
+    },
+
+    // Merges `changes` into the store's settings and saves the file.
+    // `changes` can also be a function of the store's current settings,
+    // called in turn with other writes, for changes that depend on what is
+    // already saved; whatever it throws rejects the update.
+    updateStore(storeId, changes) {
+      const result = queue.then(async () => {
+        const current = settings.stores?.[storeId] || {};
+        const next = {
+          ...settings,
+          stores: {
+            ...settings.stores,
+            [storeId]: { ...current, ...(typeof changes === 'function' ? changes(current) : changes) }
+          }
+        };
+        await save(next);
+        settings = next;
+        return next.stores[storeId];
+      });
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import { ValidationError } from '../errors.js';
+import { byNewestFirst, saleNotFound } from './sales.js';
+
+// Read-only view over every store, used for the dashboard's "All stores"
+// option. Sales are tagged with the `storeId` they came from so the
+// dashboard can send edits to the right store.
+export function createCombinedStorage(stores) {
+  const readOnly = () => {
+    throw new ValidationError({ store: 'Choose a store; the combined view is read-only' });
+  };
+
+  return {
+    name: 'combined',
+    label: 'all stores',
+
+    describe() {
+      return {
+        backend: 'combined',
+        stores: stores.map(({ id, storage }) => ({ id, ...storage.describe() }))
+      };
+    },
+
+    async testConnection() {
+      return Promise.all(stores.map(async ({ id, storage }) => ({ id, ...(await storage.testConnection()) })));
+    },
+
+    async listSales(filters = {}) {
+      const perStore = await Promise.all(stores.map(async ({ id, storage }) => {
+        const sales = await storage.listSales(filters);
+        return sales.map((sale) => ({ ...sale, storeId: id }));
+      }));
+      return perStore.flat().sort(byNewestFirst);
+    },
+
+    async getSale(id) {
+      for (const { id: storeId, storage } of stores) {
+        try {
+          return { ...(await storage.getSale(id)), storeId };
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+      throw saleNotFound(id);
+    },
+
+    createSale: readOnly,
+    updateSale: readOnly,
+    deleteSale: readOnly
+  };
+}
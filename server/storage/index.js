@@ -0,0 +1,124 @@
+import { createCombinedStorage } from './combinedStorage.js';
+import { createJsonStorage } from './jsonStorage.js';
+import { createNotionClient } from '../notionClient.js';
+import { createNotionStorage } from './notionStorage.js';
+
+export function formatNotionId(id) {
+  if (!id) return null;
+  const cleanId = id.replace(/-/g, '');
+  if (cleanId.length !== 32) return id;
+  return `${cleanId.substring(0, 8)}-${cleanId.substring(8, 12)}-${cleanId.substring(12, 16)}-${cleanId.substring(16, 20)}-${cleanId.substring(20)}`;
+}
+
+// Picks the backend from STORAGE_BACKEND ("notion" by default, or "json").
+// Throws when the chosen backend is missing its settings so the caller can
+// report it and exit. `mapping` is the Notion property mapping, see
+// notionMapping.js. `notionClients` (token => client) lets several stores
+// share one Notion client, and with it Notion's per-token rate limit.
+export function createStorage(env = process.env, { mapping, notionClients = new Map() } = {}) {
+  const backend = (env.STORAGE_BACKEND || 'notion').toLowerCase();
+
+  if (backend === 'json') {
+    return createJsonStorage({ filePath: env.DATA_FILE || 'data/sales.json' });
+  }
+
+  if (backend === 'notion') {
+    const databaseId = formatNotionId(env.NOTION_DATABASE_ID);
+    if (!env.NOTION_TOKEN) {
+      throw new Error('Missing NOTION_TOKEN in .env file');
+    }
+    if (!databaseId) {
+      throw new Error('Missing NOTION_DATABASE_ID in .env file');
+    }
+    if (!notionClients.has(env.NOTION_TOKEN)) {
+      notionClients.set(env.NOTION_TOKEN, createNotionClient({
+        token: env.NOTION_TOKEN,
+        timeout: Number(env.NOTION_TIMEOUT_MS) || undefined
+      }));
+    }
+    return createNotionStorage({
+      client: notionClients.get(env.NOTION_TOKEN),
+      databaseId,
+      rawDatabaseId: env.NOTION_DATABASE_ID,
+      fullSyncInterval: Number(env.NOTION_FULL_SYNC_MS) || undefined,
+      mapping
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "notion" or "json")`);
+}
+
+const STORE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+export const ALL_STORES = 'all';
+
+function parseStoreConfigs(json) {
+  let configs;
+  try {
+    configs = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`STORES is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(configs) || configs.length === 0) {
+    throw new Error('STORES must be a non-empty JSON array');
+  }
+
+  const ids = new Set();
+  configs.forEach((config, index) => {
+    const { id } = config || {};
+    if (typeof id !== 'string' || !STORE_ID_PATTERN.test(id) || id === ALL_STORES) {
+      throw new Error(`STORES[${index}].id must be lowercase letters, digits and dashes (and not "${ALL_STORES}")`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`STORES has two stores with id "${id}"`);
+    }
+    ids.add(id);
+  });
+  return configs;
+}
+
+// One storage per branch. STORES is a JSON array of
+//
+//   { id, name, backend?, token?, databaseId?, dataFile?, properties? }
+//
+// where `backend` defaults to STORAGE_BACKEND, `token` to NOTION_TOKEN and
+// `dataFile` to data/<id>.json. `properties` maps sale fields to Notion
+// property names; a mapping saved from the setup screen (`settings`, see
+// server/settings.js) takes precedence. Without STORES the single-store
+// settings above become one store, "main", so existing setups keep
+// working. The first store is the default one. Stores with the same token
+// share one Notion client, so together they stay under Notion's rate limit
+// for that integration.
+export function createStores(env = process.env, { settings } = {}) {
+  const notionClients = new Map();
+  const configs = env.STORES
+    ? parseStoreConfigs(env.STORES)
+    : [{ id: 'main', name: env.STORE_NAME || 'Main store', databaseId: env.NOTION_DATABASE_ID, dataFile: env.DATA_FILE || 'data/sales.json' }];
+
+  const list = configs.map((config) => {
+    try {
+      const storage = createStorage({
+        ...env,
+        STORAGE_BACKEND: config.backend || env.STORAGE_BACKEND,
+        NOTION_TOKEN: config.token || env.NOTION_TOKEN,
+        NOTION_DATABASE_ID: config.databaseId,
+        DATA_FILE: config.dataFile || `data/${config.id}.json`
+      }, {
+        mapping: { ...config.properties, ...settings?.forStore(config.id).notionMapping },
+        notionClients
+      });
+      return { id: config.id, name: config.name || config.id, storage };
+    } catch (error) {
+      throw new Error(`Store "${config.id}": ${error.message}`);
+    }
+  });
+  const byId = new Map(list.map((store) => [store.id, store]));
+  const all = { id: ALL_STORES, name: 'All stores', storage: createCombinedStorage(list) };
+
+  return {
+    list,
+    defaultStore: list[0],
+    get(id) {
+      return id === ALL_STORES ? all : byId.get(id) || null;
+    }
+  };
+}
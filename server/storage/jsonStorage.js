@@ -0,0 +1,99 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { matchesFilters } from '../../src/shared/filters.js';
+import { byNewestFirst, saleNotFound } from './sales.js';
+
+// Keeps sales in a single JSON file. Good enough for offline development,
+// demos and a local mirror; every write rewrites the whole file.
+export function createJsonStorage({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  // Writes are chained so two requests can't interleave read-modify-write.
+  let queue = Promise.resolve();
+
+  async function load() {
+    try {
+      const contents = await readFile(resolvedPath, 'utf8');
+      return JSON.parse(contents).sales || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function save(sales) {
+    await mkdir(path.dirname(resolvedPath), { recursive: true });
+    const tempPath = `${resolvedPath}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ sales }, null, 2));
+    await rename(tempPath, resolvedPath);
+  }
+
+  function update(mutate) {
+    const result = queue.then(async () => {
+      const sales = await load();
+      const value = mutate(sales);
+      await save(sales);
+      return value;
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    name: 'json',
+    label: 'local storage',
+
+    describe() {
+      return { backend: 'json', filePath: resolvedPath };
+    },
+
+    async testConnection() {
+      const sales = await load();
+      return {
+        title: path.basename(resolvedPath),
+        id: resolvedPath,
+        properties: ['amount', 'customerName', 'productName', 'date', 'paymentMethod', 'items'],
+        count: sales.length
+      };
+    },
+
+    async listSales(filters = {}) {
+      await queue;
+      const sales = await load();
+      return sales.filter((sale) => matchesFilters(sale, filters)).sort(byNewestFirst);
+    },
+
+    async getSale(id) {
+      await queue;
+      const sale = (await load()).find((candidate) => candidate.id === id);
+      if (!sale) throw saleNotFound(id);
+      return sale;
+    },
+
+    createSale(sale) {
+      return update((sales) => {
+        const now = new Date().toISOString();
+        const record = { id: randomUUID(), ...sale, createdTime: now, lastEditedTime: now };
+        sales.push(record);
+        return record;
+      });
+    },
+
+    updateSale(id, patch) {
+      return update((sales) => {
+        const index = sales.findIndex((sale) => sale.id === id);
+        if (index === -1) throw saleNotFound(id);
+        sales[index] = { ...sales[index], ...patch, lastEditedTime: new Date().toISOString() };
+        return sales[index];
+      });
+    },
+
+    deleteSale(id) {
+      return update((sales) => {
+        const index = sales.findIndex((sale) => sale.id === id);
+        if (index === -1) throw saleNotFound(id);
+        sales.splice(index, 1);
+      });
+    }
+  };
+}
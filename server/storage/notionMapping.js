@@ -0,0 +1,200 @@
+// Which Notion property holds each sale field. The defaults are the column
+// names the app was first built against; a store can point any field at
+// another property (see createStores and the setup screen) as long as the
+// property has one of the field's `types`.
+
+import { STATUS_LABELS } from '../../src/shared/orderStatus.js';
+
+// Notion caps each piece of rich text at 2000 characters
+const TEXT_CHUNK = 2000;
+
+export const SALE_FIELDS = {
+  amount: { label: 'Amount', types: ['number'], required: true },
+  customerName: { label: 'Customer Name', types: ['title', 'rich_text'], required: true },
+  customerContact: { label: 'Customer Contact', types: ['rich_text', 'phone_number', 'email'], required: false },
+  productName: { label: 'Product Name', types: ['rich_text', 'title', 'select'], required: true },
+  date: { label: 'Order Date', types: ['date'], required: true },
+  paymentMethod: { label: 'Payment Method', types: ['select', 'rich_text'], required: true },
+  // JSON text; without it line items are dropped and only the total and
+  // product names are kept
+  items: { label: 'Line Items', types: ['rich_text'], required: false },
+  // Without these every order reads back as completed
+  status: { label: 'Status', types: ['select', 'status', 'rich_text'], required: false },
+  refundedAmount: { label: 'Refunded Amount', types: ['number'], required: false }
+};
+
+export const DEFAULT_MAPPING = {
+  amount: 'Amount',
+  customerName: 'Name',
+  customerContact: 'Contact',
+  productName: 'Product Name',
+  date: 'Order Date',
+  paymentMethod: 'Select',
+  items: 'Line Items',
+  status: 'Status',
+  refundedAmount: 'Refunded Amount'
+};
+
+// Property name -> type, from a GET /databases/:id response
+export function propertyTypes(database) {
+  return Object.fromEntries(Object.entries(database.properties).map(([name, property]) => [name, property.type]));
+}
+
+// Problems with `mapping` against the database's `types`, as a map of
+// sale field -> message; empty when the mapping is usable. Optional fields
+// may be left unmapped, and one mapped to a property the database doesn't
+// have counts as unmapped (most databases have no "Contact" column).
+export function checkMapping(mapping, types) {
+  const problems = {};
+  const usedBy = {};
+
+  Object.entries(SALE_FIELDS).forEach(([field, { label, types: allowed, required }]) => {
+    const name = mapping[field];
+    if (!name || (!required && !(name in types))) {
+      if (required) problems[field] = `${label} must be mapped to a property`;
+      return;
+    }
+    if (!(name in types)) {
+      problems[field] = `The database has no property named "${name}" for ${label}`;
+    } else if (!allowed.includes(types[name])) {
+      problems[field] = `"${name}" is a ${types[name]} property; ${label} needs ${allowed.join(' or ')}`;
+    } else if (usedBy[name]) {
+      problems[field] = `"${name}" is already used for ${SALE_FIELDS[usedBy[name]].label}`;
+    } else {
+      usedBy[name] = field;
+    }
+  });
+
+  return problems;
+}
+
+function readProperty(property) {
+  if (!property) return undefined;
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map((part) => part.plain_text).join('');
+    case 'select':
+    case 'status':
+      return property[property.type]?.name;
+    case 'date':
+      return property.date?.start;
+    default:
+      return property[property.type] ?? undefined;
+  }
+}
+
+function readItems(text) {
+  if (!text) return undefined;
+  try {
+    const items = JSON.parse(text);
+    return Array.isArray(items) ? items : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function writeItems(items) {
+  const text = items?.length ? JSON.stringify(items) : '';
+  const chunks = [];
+  for (let start = 0; start < text.length; start += TEXT_CHUNK) {
+    chunks.push({ text: { content: text.slice(start, start + TEXT_CHUNK) } });
+  }
+  return { rich_text: chunks };
+}
+
+function writeProperty(type, value) {
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return { [type]: value ? [{ text: { content: value } }] : [] };
+    case 'select':
+    case 'status':
+      return { [type]: value ? { name: value } : null };
+    case 'date':
+      return { date: value ? { start: value } : null };
+    default:
+      return { [type]: value === '' ? null : value };
+  }
+}
+
+// Converts between Notion pages and sales for one database. `types` is
+// the database's property name -> type map and `mapping` must have passed
+// checkMapping against it.
+export function createPropertyCodec(mapping, types) {
+  const mapped = (field) => mapping[field] && mapping[field] in types ? mapping[field] : null;
+
+  return {
+    isMapped: (field) => Boolean(mapped(field)),
+
+    pageToSale(page) {
+      const read = (field) => (mapped(field) ? readProperty(page.properties[mapped(field)]) : undefined);
+      return {
+        id: page.id,
+        amount: read('amount') || 0,
+        customerName: read('customerName') || 'Unknown',
+        customerContact: read('customerContact') || '',
+        productName: read('productName') || 'Unknown',
+        date: read('date') || null,
+        paymentMethod: read('paymentMethod') || 'Unknown',
+        items: readItems(read('items')),
+        status: read('status') || undefined,
+        refundedAmount: read('refundedAmount') || 0,
+        createdTime: page.created_time,
+        lastEditedTime: page.last_edited_time
+      };
+    },
+
+    // Only the fields present on `sale` are converted, so the same helper
+    // builds both a full page and a partial update. Unmapped optional
+    // fields are dropped, so databases without a contact property keep
+    // working. A select can't hold the comma-separated names of a
+    // multi-item sale, so it gets the first line's product.
+    saleToProperties(sale) {
+      const properties = {};
+      Object.keys(SALE_FIELDS).forEach((field) => {
+        const name = mapped(field);
+        if (!name || sale[field] === undefined) return;
+        if (field === 'items') {
+          properties[name] = writeItems(sale.items);
+        } else if (field === 'productName' && types[name] === 'select' && sale.items?.length) {
+          properties[name] = writeProperty('select', sale.items[0].productName);
+        } else if (field === 'status') {
+          // "Refunded" reads better in Notion; statusOf ignores case
+          properties[name] = writeProperty(types[name], STATUS_LABELS[sale.status] || sale.status);
+        } else {
+          properties[name] = writeProperty(types[name], sale[field]);
+        }
+      });
+      return properties;
+    },
+
+    // Translates dashboard filters (src/shared/filters.js) into a Notion
+    // database query filter. A multi-item sale may not have the product in
+    // its product property (a select only holds the first one), so the line
+    // items are searched too. Both are "contains" matches; run the results
+    // through matchesFilters for the exact one.
+    buildFilter({ from, to, product, paymentMethod, customer }) {
+      const equals = (field, value) => {
+        const name = mapped(field);
+        return { property: name, [types[name]]: { equals: value } };
+      };
+      const productName = mapped('productName');
+      const conditions = [];
+      if (from) conditions.push({ property: mapped('date'), date: { on_or_after: from } });
+      if (to) conditions.push({ property: mapped('date'), date: { on_or_before: to } });
+      if (product) {
+        const matches = [types[productName] === 'select'
+          ? equals('productName', product)
+          : { property: productName, [types[productName]]: { contains: product } }];
+        if (mapped('items')) {
+          matches.push({ property: mapped('items'), rich_text: { contains: JSON.stringify({ productName: product }).slice(1, -1) } });
+        }
+        conditions.push(matches.length > 1 ? { or: matches } : matches[0]);
+      }
+      if (paymentMethod) conditions.push(equals('paymentMethod', paymentMethod));
+      if (customer) conditions.push(equals('customerName', customer));
+      return { and: conditions };
+    }
+  };
+}
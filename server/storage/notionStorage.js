@@ -0,0 +1,181 @@
+import { hasFilters, matchesFilters } from '../../src/shared/filters.js';
+import { createPageMirror } from '../notion.js';
+import { DEFAULT_STATUS } from '../../src/shared/orderStatus.js';
+import { StoreConfigError, ValidationError } from '../errors.js';
+import { DEFAULT_MAPPING, SALE_FIELDS, checkMapping, createPropertyCodec, propertyTypes } from './notionMapping.js';
+import { byNewestFirst, saleNotFound } from './sales.js';
+
+// `mapping` names the property behind each sale field (see
+// notionMapping.js). The database schema is read on first use and the
+// mapping checked against it; until it matches, every call fails with a
+// StoreConfigError. The schema is re-read as often as the mirror does a
+// full sync, so a renamed column is noticed without a restart. `client`
+// comes from createNotionClient in notionClient.js; stores using the same
+// integration token should share one, so they share its rate limit.
+export function createNotionStorage({ client, databaseId, rawDatabaseId, fullSyncInterval, mapping = {} }) {
+  const mirror = createPageMirror(client, databaseId, { fullSyncInterval });
+  const schemaTtl = fullSyncInterval || 10 * 60 * 1000;
+  let currentMapping = { ...DEFAULT_MAPPING, ...mapping };
+  let pendingSchema = null;
+  let schemaCheckedAt = 0;
+
+  async function fetchDatabase() {
+    return client.get(`/databases/${databaseId}`);
+  }
+
+  // Shared by concurrent callers; dropped on failure so the next call
+  // (e.g. after the column is renamed back) checks again.
+  function codec() {
+    if (!pendingSchema || Date.now() - schemaCheckedAt > schemaTtl) {
+      schemaCheckedAt = Date.now();
+      const schema = fetchDatabase().then((database) => {
+        const types = propertyTypes(database);
+        const problems = checkMapping(currentMapping, types);
+        if (Object.keys(problems).length > 0) {
+          throw new StoreConfigError(problems);
+        }
+        const paymentProperty = database.properties[currentMapping.paymentMethod];
+        return {
+          ...createPropertyCodec(currentMapping, types),
+          paymentMethodOptions: paymentProperty?.type === 'select'
+            ? paymentProperty.select.options.map((option) => option.name)
+            : null
+        };
+      });
+      schema.catch(() => {
+        if (pendingSchema === schema) pendingSchema = null;
+      });
+      pendingSchema = schema;
+    }
+    return pendingSchema;
+  }
+
+  // Unmapped optional fields are dropped on write, which would quietly
+  // turn a pending or refunded order back into a completed one
+  function checkStatusFields({ isMapped }, sale) {
+    if (sale.status && sale.status !== DEFAULT_STATUS && !isMapped('status')) {
+      throw new ValidationError({ status: 'Map a Status property on the setup screen to track order status' });
+    }
+    if (sale.refundedAmount && !isMapped('refundedAmount')) {
+      throw new ValidationError({ refundedAmount: 'Map a Refunded Amount property on the setup screen to record refunds' });
+    }
+  }
+
+  // The token can reach pages of other databases too (another store's,
+  // say); only this database's live pages are sales of this store
+  async function ownPage(id) {
+    const page = await client.get(`/pages/${id}`);
+    const sameDatabase = page.parent?.database_id?.replace(/-/g, '') === databaseId.replace(/-/g, '');
+    if (page.archived || !sameDatabase) throw saleNotFound(id);
+    return page;
+  }
+
+  async function inspect() {
+    const database = await fetchDatabase();
+    const types = propertyTypes(database);
+    return {
+      title: database.title[0]?.plain_text,
+      id: database.id,
+      properties: Object.entries(types).map(([name, type]) => ({ name, type })),
+      fields: SALE_FIELDS,
+      mapping: currentMapping,
+      problems: checkMapping(currentMapping, types)
+    };
+  }
+
+  return {
+    name: 'notion',
+    label: 'Notion',
+
+    describe() {
+      return { backend: 'notion', rawDatabaseId, formattedDatabaseId: databaseId };
+    },
+
+    // Lists every property with its type, plus how the current mapping
+    // fares against them. Unlike the other calls this works while the
+    // mapping is broken, so the setup screen can fix it.
+    testConnection: inspect,
+
+    // Resolves with the problems found (empty once the schema matches)
+    async checkSchema() {
+      return (await inspect()).problems;
+    },
+
+    // Switches to `mapping` if it fits the database; otherwise throws a
+    // ValidationError and keeps the old one.
+    async setMapping(mapping) {
+      const next = { ...DEFAULT_MAPPING, ...mapping };
+      const problems = checkMapping(next, propertyTypes(await fetchDatabase()));
+      if (Object.keys(problems).length > 0) {
+        throw new ValidationError(problems);
+      }
+      currentMapping = next;
+      pendingSchema = null;
+      return currentMapping;
+    },
+
+    // The options of the payment method select property, or null when
+    // it is a text property
+    async listPaymentMethodOptions() {
+      return (await codec()).paymentMethodOptions;
+    },
+
+    // Unfiltered reads come from the incrementally synced mirror; filtered
+    // reads let Notion do the filtering.
+    async listSales(filters = {}) {
+      const { pageToSale, buildFilter } = await codec();
+      if (!hasFilters(filters)) {
+        return (await mirror.getPages()).map(pageToSale).sort(byNewestFirst);
+      }
+      const pages = await client.queryDatabase(databaseId, { filter: buildFilter(filters) });
+      return pages.map(pageToSale).filter((sale) => matchesFilters(sale, filters)).sort(byNewestFirst);
+    },
+
+    async getSale(id) {
+      const { pageToSale } = await codec();
+      return pageToSale(await ownPage(id));
+    },
+
+    async createSale(sale) {
+      const current = await codec();
+      checkStatusFields(current, sale);
+      const { pageToSale, saleToProperties } = current;
+      const page = await client.post('/pages', {
+        parent: { database_id: databaseId },
+        properties: saleToProperties(sale)
+      });
+      mirror.put(page);
+      return pageToSale(page);
+    },
+
+    async updateSale(id, patch) {
+      const current = await codec();
+      checkStatusFields(current, patch);
+      const { pageToSale, saleToProperties } = current;
+      await ownPage(id);
+      const page = await client.patch(`/pages/${id}`, { properties: saleToProperties(patch) });
+      mirror.put(page);
+      return pageToSale(page);
+    },
+
+    // Calls `listener({ created, updated, deleted })` with sale ids when a
+    // sync finds sales changed in Notion itself rather than through this
+    // server. Returns a function that unsubscribes.
+    onExternalChange(listener) {
+      return mirror.subscribe(listener);
+    },
+
+    // Syncs the mirror now, so external changes get reported
+    async poll() {
+      await mirror.getPages();
+    },
+
+    // Notion has no hard delete through the API; archiving moves the page
+    // to the trash, where it can still be restored by hand.
+    async deleteSale(id) {
+      await ownPage(id);
+      const page = await client.patch(`/pages/${id}`, { archived: true });
+      mirror.put(page);
+    }
+  };
+}
@@ -0,0 +1,20 @@
+import { NotFoundError } from '../errors.js';
+
+// Every storage backend hands sales to the routes in this shape:
+//
+//   { id, amount, customerName, customerContact, productName, date,
+//     paymentMethod, items, createdTime, lastEditedTime }
+//
+// `date` is the YYYY-MM-DD order date, the two timestamps are ISO strings.
+// `customerContact` (phone or email) is optional and may be empty.
+// `items` lists the line items (see src/shared/lineItems.js) and is missing
+// or empty for single-product sales. `status` and `refundedAmount` follow
+// src/shared/orderStatus.js; a sale without a status is completed.
+
+export function byNewestFirst(a, b) {
+  return (b.date || '').localeCompare(a.date || '');
+}
+
+export function saleNotFound(id) {
+  return new NotFoundError(`Sale ${id} not found`);
+}
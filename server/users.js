@@ -0,0 +1,70 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>", both base64url
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Dashboard accounts in a JSON file: { users: [{ username, role,
+// passwordHash }] }. Usernames are case-insensitive. The file is re-read
+// whenever it changes, so `npm run user:add` takes effect without a
+// restart.
+export function createUserStore({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  let cache = { mtimeMs: null, users: [] };
+
+  async function load() {
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = await stat(resolvedPath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    if (mtimeMs !== cache.mtimeMs) {
+      const contents = await readFile(resolvedPath, 'utf8');
+      cache = { mtimeMs, users: JSON.parse(contents).users || [] };
+    }
+    return cache.users;
+  }
+
+  return {
+    filePath: resolvedPath,
+
+    async count() {
+      return (await load()).length;
+    },
+
+    async find(username) {
+      const key = String(username || '').trim().toLowerCase();
+      return (await load()).find((user) => user.username.toLowerCase() === key) || null;
+    },
+
+    // Adds the user, or replaces the one with the same username
+    async save(user) {
+      const users = (await load()).filter((existing) => existing.username.toLowerCase() !== user.username.toLowerCase());
+      users.push(user);
+      await mkdir(path.dirname(resolvedPath), { recursive: true });
+      const tempPath = `${resolvedPath}.tmp`;
+      await writeFile(tempPath, JSON.stringify({ users }, null, 2));
+      await rename(tempPath, resolvedPath);
+    }
+  };
+}
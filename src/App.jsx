@@ -2,6 +2,16 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Dashboard from './Components/Dashboard/Dashboard';
 import AddForm from './Components/AddForm/AddForm';
+import ImportSales from './Components/ImportSales/ImportSales';
+import Login from './Components/Login/Login';
+import Setup from './Components/Setup/Setup';
+import Customers from './Components/Customers/Customers';
+import CustomerDetail from './Components/Customers/CustomerDetail';
+import ProtectedRoute from './Components/ProtectedRoute/ProtectedRoute';
+import AccountBar from './Components/AccountBar/AccountBar';
+import AuthProvider from './auth/AuthProvider';
+import StoreProvider from './stores/StoreProvider';
+import OutboxProvider from './outbox/OutboxProvider';
 
 const Footer = () => {
   return (
@@ -19,15 +29,27 @@ const Footer = () => {
 
 const App = () => {
   return (
-    <Router>
-      <div>
-        <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/add-product" element={<AddForm />} />
-        </Routes>
-        <Footer />
-      </div>
-    </Router>
+    <AuthProvider>
+      <StoreProvider>
+        <OutboxProvider>
+          <Router>
+            <div>
+              <AccountBar />
+              <Routes>
+                <Route path="/login" element={<Login />} />
+                <Route path="/" element={<ProtectedRoute permission="sales:read"><Dashboard /></ProtectedRoute>} />
+                <Route path="/add-product" element={<ProtectedRoute permission="sales:create"><AddForm /></ProtectedRoute>} />
+                <Route path="/customers" element={<ProtectedRoute permission="sales:read"><Customers /></ProtectedRoute>} />
+                <Route path="/customers/:key" element={<ProtectedRoute permission="sales:read"><CustomerDetail /></ProtectedRoute>} />
+                <Route path="/import" element={<ProtectedRoute permission="sales:import"><ImportSales /></ProtectedRoute>} />
+                <Route path="/setup" element={<ProtectedRoute permission="admin"><Setup /></ProtectedRoute>} />
+              </Routes>
+              <Footer />
+            </div>
+          </Router>
+        </OutboxProvider>
+      </StoreProvider>
+    </AuthProvider>
   );
 };
 
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useAuth } from '../../auth/useAuth';
+import { ROLE_LABELS } from '../../shared/roles';
+import StoreSwitcher from '../StoreSwitcher/StoreSwitcher';
+import './AccountBar.scss';
+
+// Who is logged in and which store they are working on, with a way out.
+// Hidden on the login page.
+const AccountBar = () => {
+  const { user, logout } = useAuth();
+  if (!user) return null;
+
+  return (
+    <div className="account-bar">
+      <StoreSwitcher />
+      <ion-icon name="person-circle-outline"></ion-icon>
+      <span className="account-bar__name">{user.username}</span>
+      <span className="account-bar__role">{ROLE_LABELS[user.role] || user.role}</span>
+      <button className="account-bar__logout" onClick={logout}>Log out</button>
+    </div>
+  );
+};
+
+export default AccountBar;
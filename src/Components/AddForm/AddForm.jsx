@@ -1,47 +1,100 @@
 import React, { useState } from 'react';
+import { authFetch } from '../../auth/session';
+import { saleItems } from '../../shared/lineItems';
+import { DEFAULT_STATUS, INITIAL_STATUSES, STATUS_LABELS, isFinal, statusOf } from '../../shared/orderStatus';
+import { MAX_YEAR, MIN_YEAR, saleSchema, validateSale } from '../../shared/saleSchema';
+import { isTransient } from '../../outbox/retryPolicy';
+import { useOutbox } from '../../outbox/useOutbox';
+import { useCatalog } from '../../stores/useCatalog';
+import { usePaymentMethods } from '../../stores/usePaymentMethods';
+import { ALL_STORES, useStore } from '../../stores/useStore';
+import LineItemsEditor from './LineItemsEditor';
 import './AddForm.scss';
 
-const AddForm = ({ onClose, onSubmit }) => {
-  const [formData, setFormData] = useState({
-    amount: '',
-    customerName: '',
-    productName: '',
-    date: new Date().toISOString().split('T')[0],
-    paymentMethod: ''
-  });
+const emptyLineItem = () => ({ productName: '', quantity: '1', unitPrice: '', discount: '' });
+
+const emptyForm = () => ({
+  customerName: '',
+  customerContact: '',
+  items: [emptyLineItem()],
+  date: new Date().toISOString().split('T')[0],
+  paymentMethod: '',
+  status: DEFAULT_STATUS
+});
+
+// Pass `sale` (an object with an `id` plus the sale fields) to edit an
+// existing sale instead of adding a new one. On its own page (the cashier's
+// screen) there is nothing to close or update, so both callbacks are
+// optional. `onSubmit` gets the sale as validated, with its amount worked
+// out from the line items, its `id` and the `storeId` it was saved to. A
+// new sale that can't reach the server goes to the outbox instead (see
+// src/outbox), and `onSubmit` isn't called: the dashboard lists it as
+// pending until it syncs. `countsQuery` is the dashboard's granularity and
+// filters as a query string; a new sale saved to the store it shows then
+// passes `onSubmit` the server's customer count changes as well.
+const AddForm = ({ onClose, onSubmit = () => {}, sale, countsQuery }) => {
+  const isEditing = Boolean(sale);
+  const initialForm = () => (
+    isEditing
+      ? {
+          customerName: sale.customerName,
+          customerContact: sale.customerContact || '',
+          // Sales from before line items become a single line
+          items: saleItems(sale).map((item) => ({
+            productName: item.productName,
+            quantity: String(item.quantity),
+            unitPrice: String(item.unitPrice),
+            discount: item.discount ? String(item.discount) : ''
+          })),
+          date: sale.date || emptyForm().date,
+          paymentMethod: sale.paymentMethod
+        }
+      : emptyForm()
+  );
+  const [formData, setFormData] = useState(initialForm);
+  // A refunded or cancelled sale keeps its items; the server refuses changes
+  const itemsLocked = isEditing && isFinal(sale);
+
+  // Sales belong to one store. Edits go to the sale's own store; a new
+  // sale made from the all-stores view needs one picked.
+  const { stores, storeId, storeUrl } = useStore();
+  const needsStorePick = !isEditing && storeId === ALL_STORES;
+  const [pickedStore, setPickedStore] = useState('');
+  const targetStore = isEditing ? sale.storeId || storeId : (needsStorePick ? pickedStore : storeId);
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
+  const [showQueued, setShowQueued] = useState(false);
   const [showError, setShowError] = useState(null);
+  const { enqueue } = useOutbox();
 
-  const paymentMethods = ['Cash', 'GCash', 'SeaBank', 'PayMaya'];
+  // The store's own list; a sale being edited keeps its method even if
+  // it has since been removed from the list
+  const storeMethods = usePaymentMethods(targetStore);
+  const catalog = useCatalog(targetStore);
+  const paymentMethods = isEditing && sale.paymentMethod && !storeMethods.includes(sale.paymentMethod)
+    ? [...storeMethods, sale.paymentMethod]
+    : storeMethods;
 
+  // Same rules the server applies, see src/shared/saleSchema.js. Returns
+  // the cleaned-up sale, or null when there are errors to show.
   const validateForm = () => {
-    const newErrors = {};
-
-    if (!formData.amount || formData.amount <= 0) {
-      newErrors.amount = 'Amount is required and must be greater than 0';
-    }
-
-    if (!formData.customerName.trim()) {
-      newErrors.customerName = 'Customer name is required';
-    }
-
-    if (!formData.productName.trim()) {
-      newErrors.productName = 'Product name is required';
-    }
-
-    if (!formData.date) {
-      newErrors.date = 'Date is required';
-    }
-
-    if (!formData.paymentMethod) {
-      newErrors.paymentMethod = 'Payment method is required';
+    const { value, errors: newErrors } = validateSale(formData, { values: { paymentMethod: paymentMethods } });
+    if (needsStorePick && !pickedStore) {
+      newErrors.store = 'Please choose a store';
     }
 
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    return Object.keys(newErrors).length === 0 ? value : null;
+  };
+
+  // Turns an error envelope from the API into an Error, keeping any
+  // per-field messages so they can be shown next to the inputs
+  const toRequestError = (result, response) => {
+    const requestError = new Error(result.error?.message || `Server error: ${response.status}`);
+    requestError.fields = result.error?.fields;
+    return requestError;
   };
 
   const handleInputChange = (e) => {
@@ -60,75 +113,149 @@ const AddForm = ({ onClose, onSubmit }) => {
     }
   };
 
+  const handleItemsChange = (items) => {
+    setFormData(prev => ({ ...prev, items }));
+    if (errors.items) {
+      setErrors(prev => ({ ...prev, items: '' }));
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!validateForm()) {
+    const validSale = validateForm();
+    if (!validSale) {
       return;
     }
 
     setIsSubmitting(true);
     setShowError(null);
 
+    if (isEditing) {
+      await submitEdit(validSale);
+    } else {
+      await submitNew(validSale);
+    }
+  };
+
+  const submitEdit = async (validSale) => {
+    // Leave the contact alone when there was none and none was added, so
+    // stores without a contact field can still edit sales
+    const { customerContact, ...fields } = formData;
+    const changes = customerContact || sale.customerContact ? formData : fields;
+
     try {
-      const response = await fetch('http://localhost:3000/proxy/notion', {
-        method: 'POST',
+      const response = await authFetch(storeUrl(`/notion/${sale.id}`, targetStore), {
+        method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify(changes)
       });
 
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.message || `Server error: ${response.status}`);
+        throw toRequestError(result, response);
+      }
+
+      onSubmit({ ...validSale, id: sale.id });
+      setShowSuccess(true);
+
+      setTimeout(() => {
+        setShowSuccess(false);
+        onClose?.();
+      }, 2000);
+    } catch (error) {
+      console.error('❌ Error updating sale:', error);
+      setShowError(error.message || 'Failed to update sale. Please try again.');
+      if (error.fields) {
+        setErrors(error.fields);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Keeps a sale that couldn't be sent, under the Idempotency-Key the
+  // first attempt used, so it is recorded once however often it's resent
+  const queueSale = async (idempotencyKey, validSale, reason) => {
+    try {
+      await enqueue({ id: idempotencyKey, storeId: targetStore, body: formData, sale: validSale, lastError: reason });
+      setFormData(emptyForm());
+      setShowQueued(true);
+      setTimeout(() => {
+        setShowQueued(false);
+        onClose?.();
+      }, 3000);
+    } catch (queueError) {
+      console.error('❌ Error queuing sale:', queueError);
+      setShowError(`${reason}. The sale could not be kept for later either, please try again.`);
+    }
+  };
+
+  const submitNew = async (validSale) => {
+    const idempotencyKey = crypto.randomUUID();
+    try {
+      let response;
+      try {
+        const query = countsQuery && targetStore === storeId ? `?${countsQuery}` : '';
+        response = await authFetch(storeUrl(`/notion${query}`, targetStore), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          },
+          body: JSON.stringify(formData)
+        });
+      } catch {
+        await queueSale(idempotencyKey, validSale, 'No connection to the server');
+        return;
+      }
+
+      const result = await response.json().catch(() => ({}));
+
+      // Worth another try later: the server or the database behind it is
+      // down. A sale Notion may have saved, or a store that isn't set up
+      // right, is reported below instead.
+      if ((response.status >= 500 || response.status === 429) && isTransient(response, result.error?.code)) {
+        await queueSale(idempotencyKey, validSale, result.error?.message || `Server error: ${response.status}`);
+        return;
+      }
+
+      if (!response.ok) {
+        throw toRequestError(result, response);
       }
 
       console.log('✅ Successfully saved to Notion:', result);
       
       // Call the parent onSubmit to update local state
-      onSubmit(formData);
+      onSubmit({ ...validSale, id: result.pageId, storeId: targetStore }, result.customerCounts);
       setShowSuccess(true);
       
       // Reset form
-      setFormData({
-        amount: '',
-        customerName: '',
-        productName: '',
-        date: new Date().toISOString().split('T')[0],
-        paymentMethod: ''
-      });
+      setFormData(emptyForm());
 
       setTimeout(() => {
         setShowSuccess(false);
-        onClose();
+        onClose?.();
       }, 2000);
       
     } catch (error) {
       console.error('❌ Error submitting form:', error);
       setShowError(error.message || 'Failed to save data. Please try again.');
-      
-      // Still update local state for better UX even if API fails
-      onSubmit(formData);
-      setShowSuccess(true);
-      setTimeout(() => {
-        setShowSuccess(false);
-        onClose();
-      }, 2000);
+
+      // The server rejected the input; let the user fix it
+      if (error.fields) {
+        setErrors(error.fields);
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
   const handleReset = () => {
-    setFormData({
-      amount: '',
-      customerName: '',
-      productName: '',
-      date: new Date().toISOString().split('T')[0],
-      paymentMethod: ''
-    });
+    setFormData(initialForm());
     setErrors({});
     setShowError(null);
   };
@@ -137,15 +264,23 @@ const AddForm = ({ onClose, onSubmit }) => {
     <div className="earnings-form">
       <div className="earnings-form__wrapper">
         <div className="earnings-form__header">
-          <h1>Add New Sale</h1>
-          <button className="earnings-form__close" onClick={onClose} disabled={isSubmitting}>
-            <ion-icon name="close-outline"></ion-icon>
-          </button>
+          <h1>{isEditing ? 'Edit Sale' : 'Add New Sale'}</h1>
+          {onClose && (
+            <button className="earnings-form__close" onClick={onClose} disabled={isSubmitting}>
+              <ion-icon name="close-outline"></ion-icon>
+            </button>
+          )}
         </div>
 
         {showSuccess && (
           <div className="success-notification">
-            <span>✓ Sale added successfully!</span>
+            <span>✓ {isEditing ? 'Sale updated successfully!' : 'Sale added successfully!'}</span>
+          </div>
+        )}
+
+        {showQueued && (
+          <div className="queued-notification">
+            <span>⏳ Saved on this device. It will be sent when the connection is back.</span>
           </div>
         )}
 
@@ -156,26 +291,50 @@ const AddForm = ({ onClose, onSubmit }) => {
         )}
 
         <form onSubmit={handleSubmit} className="form-content">
-          <div className="form-content__row">
+          {needsStorePick && (
             <div className="form-content__field">
-              <label htmlFor="amount" className="form-content__label">
-                Amount (₱)
+              <label htmlFor="store" className="form-content__label">
+                Store
               </label>
-              <input
-                type="number"
-                id="amount"
-                name="amount"
-                value={formData.amount}
-                onChange={handleInputChange}
-                className={`form-content__input ${errors.amount ? 'form-content__input--error' : ''}`}
-                placeholder="0.00"
-                step="0.01"
-                min="0"
+              <select
+                id="store"
+                value={pickedStore}
+                onChange={(e) => {
+                  setPickedStore(e.target.value);
+                  setErrors(prev => ({ ...prev, store: '' }));
+                }}
+                className={`form-content__input form-content__select ${errors.store ? 'form-content__input--error' : ''}`}
                 disabled={isSubmitting}
-              />
-              {errors.amount && <span className="form-content__error">{errors.amount}</span>}
+              >
+                <option value="">Select store</option>
+                {stores.map((store) => (
+                  <option key={store.id} value={store.id}>
+                    {store.name}
+                  </option>
+                ))}
+              </select>
+              {errors.store && <span className="form-content__error">{errors.store}</span>}
             </div>
+          )}
+
+          <div className="form-content__field form-content__field--items">
+            <span className="form-content__label">Items</span>
+            <LineItemsEditor
+              items={formData.items}
+              onChange={handleItemsChange}
+              onAdd={() => handleItemsChange([...formData.items, emptyLineItem()])}
+              error={errors.items || errors.amount}
+              disabled={isSubmitting || itemsLocked}
+              catalog={catalog}
+            />
+            {itemsLocked && (
+              <span className="form-content__hint">
+                The items of a {STATUS_LABELS[statusOf(sale)].toLowerCase()} order can&apos;t be changed
+              </span>
+            )}
+          </div>
 
+          <div className="form-content__row">
             <div className="form-content__field">
               <label htmlFor="customerName" className="form-content__label">
                 Customer Name
@@ -185,6 +344,7 @@ const AddForm = ({ onClose, onSubmit }) => {
                 id="customerName"
                 name="customerName"
                 value={formData.customerName}
+                maxLength={saleSchema.customerName.maxLength}
                 onChange={handleInputChange}
                 className={`form-content__input ${errors.customerName ? 'form-content__input--error' : ''}`}
                 placeholder="Enter customer name"
@@ -192,25 +352,6 @@ const AddForm = ({ onClose, onSubmit }) => {
               />
               {errors.customerName && <span className="form-content__error">{errors.customerName}</span>}
             </div>
-          </div>
-
-          <div className="form-content__row">
-            <div className="form-content__field">
-              <label htmlFor="productName" className="form-content__label">
-                Product Name
-              </label>
-              <input
-                type="text"
-                id="productName"
-                name="productName"
-                value={formData.productName}
-                onChange={handleInputChange}
-                className={`form-content__input ${errors.productName ? 'form-content__input--error' : ''}`}
-                placeholder="Enter product name"
-                disabled={isSubmitting}
-              />
-              {errors.productName && <span className="form-content__error">{errors.productName}</span>}
-            </div>
 
             <div className="form-content__field">
               <label htmlFor="date" className="form-content__label">
@@ -221,6 +362,8 @@ const AddForm = ({ onClose, onSubmit }) => {
                 id="date"
                 name="date"
                 value={formData.date}
+                min={`${MIN_YEAR}-01-01`}
+                max={`${MAX_YEAR}-12-31`}
                 onChange={handleInputChange}
                 className={`form-content__input ${errors.date ? 'form-content__input--error' : ''}`}
                 disabled={isSubmitting}
@@ -229,28 +372,72 @@ const AddForm = ({ onClose, onSubmit }) => {
             </div>
           </div>
 
-          <div className="form-content__field form-content__field--full">
-            <label htmlFor="paymentMethod" className="form-content__label">
-              Payment Method
-            </label>
-            <select
-              id="paymentMethod"
-              name="paymentMethod"
-              value={formData.paymentMethod}
-              onChange={handleInputChange}
-              className={`form-content__input form-content__select ${errors.paymentMethod ? 'form-content__input--error' : ''}`}
-              disabled={isSubmitting}
-            >
-              <option value="">Select payment method</option>
-              {paymentMethods.map((method) => (
-                <option key={method} value={method}>
-                  {method}
-                </option>
-              ))}
-            </select>
-            {errors.paymentMethod && <span className="form-content__error">{errors.paymentMethod}</span>}
+          <div className="form-content__row">
+            <div className="form-content__field">
+              <label htmlFor="paymentMethod" className="form-content__label">
+                Payment Method
+              </label>
+              <select
+                id="paymentMethod"
+                name="paymentMethod"
+                value={formData.paymentMethod}
+                onChange={handleInputChange}
+                className={`form-content__input form-content__select ${errors.paymentMethod ? 'form-content__input--error' : ''}`}
+                disabled={isSubmitting}
+              >
+                <option value="">Select payment method</option>
+                {paymentMethods.map((method) => (
+                  <option key={method} value={method}>
+                    {method}
+                  </option>
+                ))}
+              </select>
+              {errors.paymentMethod && <span className="form-content__error">{errors.paymentMethod}</span>}
+            </div>
+
+            <div className="form-content__field">
+              <label htmlFor="customerContact" className="form-content__label">
+                Customer Contact (optional)
+              </label>
+              <input
+                type="text"
+                id="customerContact"
+                name="customerContact"
+                value={formData.customerContact}
+                maxLength={saleSchema.customerContact.maxLength}
+                onChange={handleInputChange}
+                className="form-content__input"
+                placeholder="Phone or email"
+                disabled={isSubmitting}
+              />
+            </div>
           </div>
 
+          {!isEditing && (
+            <div className="form-content__row">
+              <div className="form-content__field">
+                <label htmlFor="status" className="form-content__label">
+                  Status
+                </label>
+                <select
+                  id="status"
+                  name="status"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                  className={`form-content__input form-content__select ${errors.status ? 'form-content__input--error' : ''}`}
+                  disabled={isSubmitting}
+                >
+                  {INITIAL_STATUSES.map((status) => (
+                    <option key={status} value={status}>
+                      {STATUS_LABELS[status]}
+                    </option>
+                  ))}
+                </select>
+                {errors.status && <span className="form-content__error">{errors.status}</span>}
+              </div>
+            </div>
+          )}
+
           <div className="form-content__actions">
             <button
               type="button"
@@ -258,14 +445,16 @@ const AddForm = ({ onClose, onSubmit }) => {
               className="form-content__button form-content__button--secondary"
               disabled={isSubmitting}
             >
-              Clear
+              {isEditing ? 'Reset' : 'Clear'}
             </button>
             <button
               type="submit"
               className="form-content__button form-content__button--primary"
-              disabled={isSubmitting}
+              disabled={isSubmitting || (!targetStore && !needsStorePick)}
             >
-              {isSubmitting ? 'Adding...' : 'Add Sale'}
+              {isEditing
+                ? (isSubmitting ? 'Saving...' : 'Save Changes')
+                : (isSubmitting ? 'Adding...' : 'Add Sale')}
             </button>
           </div>
         </form>
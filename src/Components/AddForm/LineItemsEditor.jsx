@@ -0,0 +1,152 @@
+import React, { useMemo } from 'react';
+import { createCatalogIndex } from '../../shared/catalog';
+import { MAX_LINE_ITEMS, lineTotal, roundMoney } from '../../shared/lineItems';
+import { lineItemSchema } from '../../shared/saleSchema';
+
+const formatCurrency = (value) => value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' });
+
+// Lines still being typed count as zero towards the totals
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const previewTotal = (item) => lineTotal({
+  quantity: toNumber(item.quantity),
+  unitPrice: toNumber(item.unitPrice),
+  discount: toNumber(item.discount)
+});
+
+// The repeatable product / quantity / unit price / discount rows of the
+// sale form. `items` holds the raw input strings; AddForm validates them
+// with the rest of the sale; `onAdd` appends a blank line. Product names
+// autocomplete from the store's `catalog`, and picking a catalog product
+// fills in its price when the line has none yet.
+const LineItemsEditor = ({ items, onChange, onAdd, error, disabled, catalog = [] }) => {
+  const catalogIndex = useMemo(() => createCatalogIndex(catalog), [catalog]);
+
+  const updateItem = (index, field, value) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  // The name is kept as typed; only a datalist pick (the exact catalog
+  // name) or leaving the field switches it to the catalog's spelling, so
+  // typing "Tea Latte" isn't cut short at "Tea"
+  const canonicalizeProduct = (index, value) => {
+    const product = catalogIndex.resolve(value);
+    onChange(items.map((item, i) => {
+      if (i !== index) return item;
+      if (!product.inCatalog) return { ...item, productName: value };
+      const prefill = item.unitPrice === '' && product.price !== null;
+      return { ...item, productName: product.name, unitPrice: prefill ? String(product.price) : item.unitPrice };
+    }));
+  };
+
+  const updateProduct = (index, value) => {
+    if (catalog.some((product) => product.name === value)) {
+      canonicalizeProduct(index, value);
+    } else {
+      updateItem(index, 'productName', value);
+    }
+  };
+
+  const removeItem = (index) => onChange(items.filter((_, i) => i !== index));
+
+  return (
+    <div className="line-items">
+      <div className="line-items__row line-items__row--header">
+        <span>Product</span>
+        <span>Qty</span>
+        <span>Unit price (₱)</span>
+        <span>Discount (₱)</span>
+        <span className="line-items__total">Total</span>
+        <span></span>
+      </div>
+
+      {items.map((item, index) => (
+        <div key={index} className="line-items__row">
+          <input
+            type="text"
+            aria-label={`Product, line ${index + 1}`}
+            value={item.productName}
+            maxLength={lineItemSchema.productName.maxLength}
+            onChange={(e) => updateProduct(index, e.target.value)}
+            onBlur={(e) => canonicalizeProduct(index, e.target.value)}
+            className="form-content__input"
+            placeholder="Product name"
+            list="line-items-products"
+            disabled={disabled}
+          />
+          <input
+            type="number"
+            aria-label={`Quantity, line ${index + 1}`}
+            value={item.quantity}
+            onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+            className="form-content__input"
+            min={lineItemSchema.quantity.min}
+            step="1"
+            disabled={disabled}
+          />
+          <input
+            type="number"
+            aria-label={`Unit price, line ${index + 1}`}
+            value={item.unitPrice}
+            onChange={(e) => updateItem(index, 'unitPrice', e.target.value)}
+            className="form-content__input"
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+            disabled={disabled}
+          />
+          <input
+            type="number"
+            aria-label={`Discount, line ${index + 1}`}
+            value={item.discount}
+            onChange={(e) => updateItem(index, 'discount', e.target.value)}
+            className="form-content__input"
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+            disabled={disabled}
+          />
+          <span className="line-items__total">{formatCurrency(previewTotal(item))}</span>
+          <button
+            type="button"
+            className="line-items__remove"
+            onClick={() => removeItem(index)}
+            disabled={disabled || items.length === 1}
+            aria-label={`Remove line ${index + 1}`}
+          >
+            <ion-icon name="trash-outline"></ion-icon>
+          </button>
+        </div>
+      ))}
+
+      <datalist id="line-items-products">
+        {catalog.map((product) => (
+          <option key={product.name} value={product.name}>
+            {product.price !== null ? formatCurrency(product.price) : ''}
+          </option>
+        ))}
+      </datalist>
+
+      {error && <span className="form-content__error">{error}</span>}
+
+      <div className="line-items__footer">
+        <button
+          type="button"
+          className="form-content__button form-content__button--secondary"
+          onClick={onAdd}
+          disabled={disabled || items.length >= MAX_LINE_ITEMS}
+        >
+          + Add item
+        </button>
+        <span className="line-items__grand-total">
+          Total: {formatCurrency(roundMoney(items.reduce((sum, item) => sum + previewTotal(item), 0)))}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
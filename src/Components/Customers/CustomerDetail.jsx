@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authFetch } from '../../auth/session';
+import { describeItems, saleItems } from '../../shared/lineItems';
+import { STATUS_LABELS, statusOf } from '../../shared/orderStatus';
+import { useStore } from '../../stores/useStore';
+import './Customers.scss';
+
+const formatCurrency = (value) => value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' });
+
+const formatDate = (date) => (date
+  ? new Date(`${date.slice(0, 10)}T00:00:00`).toLocaleDateString('en-PH', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '–');
+
+// One customer's totals and every order they placed, newest first
+const CustomerDetail = () => {
+  const { key } = useParams();
+  const { storeId, storeUrl } = useStore();
+  const [customer, setCustomer] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!storeId) return;
+    const loadCustomer = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const res = await authFetch(storeUrl(`/customers/${encodeURIComponent(key)}`));
+        const result = await res.json();
+        if (!res.ok || !result.success) {
+          throw new Error(result.error?.message || `Server error: ${res.status}`);
+        }
+        setCustomer(result.customer);
+        setOrders(result.orders);
+      } catch (err) {
+        console.error('❌ Error loading customer:', err);
+        setCustomer(null);
+        setError(err.message || 'Failed to load customer');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadCustomer();
+  }, [key, storeId, storeUrl]);
+
+  const cards = customer
+    ? [
+        ['Lifetime value', formatCurrency(customer.lifetimeValue)],
+        ['Orders', customer.orders],
+        ['Average order', formatCurrency(customer.orders > 0 ? customer.lifetimeValue / customer.orders : 0)],
+        ['First purchase', formatDate(customer.firstPurchase)],
+        ['Last purchase', formatDate(customer.lastPurchase)],
+        ['Preferred payment', customer.preferredPaymentMethod || '–']
+      ]
+    : [];
+
+  return (
+    <div className="customers">
+      <div className="customers__header">
+        <div>
+          <h1>{customer ? customer.name : 'Customer'}</h1>
+          {customer?.contact && <p>{customer.contact}</p>}
+        </div>
+        <Link to="/customers" className="customers__back">← All customers</Link>
+      </div>
+
+      {error && <div className="customers__error">⚠ {error}</div>}
+      {isLoading && <div className="customers__card"><p className="customers__empty">Loading customer...</p></div>}
+
+      {!isLoading && customer && (
+        <>
+          {customer.possibleDuplicates.length > 0 && (
+            <div className="customers__warning">
+              ⚠ Possibly the same person as {customer.possibleDuplicates.map((duplicate) => duplicate.name).join(', ')}.
+              {' '}Merge them from the <Link to="/customers">customer list</Link>.
+            </div>
+          )}
+
+          <div className="customers__cards">
+            {cards.map(([label, value]) => (
+              <div key={label} className="customers__stat">
+                <span className="customers__stat-label">{label}</span>
+                <span className="customers__stat-value">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="customers__card">
+            <h3>Order history ({orders.length})</h3>
+            <table className="customers__table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Products</th>
+                  <th className="customers__num">Units</th>
+                  <th>Payment</th>
+                  <th>Status</th>
+                  <th className="customers__num">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.map((order) => {
+                  const status = statusOf(order);
+                  const items = saleItems(order);
+                  return (
+                    <tr key={order.id} className={status === 'cancelled' ? 'customers__row--cancelled' : ''}>
+                      <td>{formatDate(order.date)}</td>
+                      <td>{describeItems(items)}</td>
+                      <td className="customers__num">{items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                      <td>{order.paymentMethod}</td>
+                      <td>
+                        <span className={`customers__status customers__status--${status}`}>
+                          {STATUS_LABELS[status]}
+                          {status === 'refunded' && ` ${formatCurrency(order.refundedAmount || 0)}`}
+                        </span>
+                      </td>
+                      <td className="customers__num">{formatCurrency(order.amount)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CustomerDetail;
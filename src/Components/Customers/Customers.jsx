@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authFetch } from '../../auth/session';
+import { useAuth } from '../../auth/useAuth';
+import { can } from '../../shared/roles';
+import { normalizeName } from '../../shared/text';
+import { ALL_STORES, useStore } from '../../stores/useStore';
+import './Customers.scss';
+
+const formatCurrency = (value) => value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' });
+
+const formatDate = (date) => (date
+  ? new Date(`${date}T00:00:00`).toLocaleDateString('en-PH', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '–');
+
+const SORTS = {
+  lifetimeValue: { label: 'Lifetime value', compare: (a, b) => a.lifetimeValue - b.lifetimeValue },
+  orders: { label: 'Orders', compare: (a, b) => a.orders - b.orders },
+  lastPurchase: { label: 'Last purchase', compare: (a, b) => (a.lastPurchase || '').localeCompare(b.lastPurchase || '') },
+  firstPurchase: { label: 'First purchase', compare: (a, b) => (a.firstPurchase || '').localeCompare(b.firstPurchase || '') },
+  name: { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) }
+};
+
+// Every customer of the selected store with their lifetime totals. Names
+// that look like the same person are flagged and can be merged, which
+// renames the other customer's sales.
+const Customers = () => {
+  const { user } = useAuth();
+  const { storeId, storeUrl } = useStore();
+  const [customers, setCustomers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('lifetimeValue');
+  const [descending, setDescending] = useState(true);
+  const [duplicatesOnly, setDuplicatesOnly] = useState(false);
+  const [mergingKey, setMergingKey] = useState(null);
+
+  const canMerge = can(user?.role, 'sales:update') && storeId !== ALL_STORES;
+
+  const loadCustomers = useCallback(async () => {
+    if (!storeId) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const res = await authFetch(storeUrl('/customers'));
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setCustomers(result.customers);
+    } catch (err) {
+      console.error('❌ Error loading customers:', err);
+      setError(err.message || 'Failed to load customers');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [storeId, storeUrl]);
+
+  useEffect(() => {
+    loadCustomers();
+  }, [loadCustomers]);
+
+  const visibleCustomers = useMemo(() => {
+    const query = normalizeName(search);
+    const { compare } = SORTS[sortBy];
+    return customers
+      .filter((customer) => !duplicatesOnly || customer.possibleDuplicates.length > 0)
+      .filter((customer) => !query
+        || normalizeName(customer.name).includes(query)
+        || customer.contact.toLowerCase().includes(query))
+      .sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+  }, [customers, search, sortBy, descending, duplicatesOnly]);
+
+  const duplicateCount = customers.filter((customer) => customer.possibleDuplicates.length > 0).length;
+
+  const handleMerge = async (customer, target) => {
+    if (!window.confirm(`Merge "${customer.name}" into "${target.name}"? Their ${customer.orders} order(s) will be renamed to "${target.name}".`)) {
+      return;
+    }
+    setMergingKey(customer.key);
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await authFetch(storeUrl('/customers/merge'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ into: target.key, from: [customer.key] })
+      });
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setMessage(`${result.message} into ${target.name}`);
+      await loadCustomers();
+    } catch (err) {
+      console.error('❌ Error merging customers:', err);
+      setError(err.message || 'Failed to merge customers');
+    } finally {
+      setMergingKey(null);
+    }
+  };
+
+  return (
+    <div className="customers">
+      <div className="customers__header">
+        <div>
+          <h1>Customers</h1>
+          <p>{customers.length} customers · {duplicateCount} flagged as possible duplicates</p>
+        </div>
+        <Link to="/" className="customers__back">← Back to dashboard</Link>
+      </div>
+
+      {error && <div className="customers__error">⚠ {error}</div>}
+      {message && <div className="customers__success">✓ {message}</div>}
+
+      <div className="customers__toolbar">
+        <input
+          type="search"
+          className="customers__search"
+          placeholder="Search by name or contact"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <label className="customers__sort">
+          Sort by
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {Object.entries(SORTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="customers__order"
+          onClick={() => setDescending((prev) => !prev)}
+          title={descending ? 'Highest first' : 'Lowest first'}
+        >
+          <ion-icon name={descending ? 'arrow-down-outline' : 'arrow-up-outline'}></ion-icon>
+        </button>
+        <label className="customers__toggle">
+          <input type="checkbox" checked={duplicatesOnly} onChange={(e) => setDuplicatesOnly(e.target.checked)} />
+          Possible duplicates only
+        </label>
+      </div>
+
+      <div className="customers__card">
+        {isLoading ? (
+          <p className="customers__empty">Loading customers...</p>
+        ) : visibleCustomers.length === 0 ? (
+          <p className="customers__empty">{customers.length === 0 ? 'No customers yet' : 'No customers match your search'}</p>
+        ) : (
+          <table className="customers__table">
+            <thead>
+              <tr>
+                <th>Customer</th>
+                <th className="customers__num">Lifetime value</th>
+                <th className="customers__num">Orders</th>
+                <th>First purchase</th>
+                <th>Last purchase</th>
+                <th>Preferred payment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleCustomers.map((customer) => (
+                <tr key={customer.key}>
+                  <td>
+                    <Link to={`/customers/${encodeURIComponent(customer.key)}`} className="customers__name">
+                      {customer.name}
+                    </Link>
+                    {customer.contact && <span className="customers__contact">{customer.contact}</span>}
+                    {customer.possibleDuplicates.map((duplicate) => (
+                      <span key={duplicate.key} className="customers__duplicate">
+                        ⚠ Looks like {duplicate.name}
+                        {canMerge && (
+                          <button
+                            onClick={() => handleMerge(customer, duplicate)}
+                            title={`Rename ${customer.name}'s orders to ${duplicate.name}`}
+                            disabled={mergingKey !== null}
+                          >
+                            {mergingKey === customer.key ? 'Merging...' : 'Merge'}
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                  </td>
+                  <td className="customers__num">{formatCurrency(customer.lifetimeValue)}</td>
+                  <td className="customers__num">{customer.orders}</td>
+                  <td>{formatDate(customer.firstPurchase)}</td>
+                  <td>{formatDate(customer.lastPurchase)}</td>
+                  <td>{customer.preferredPaymentMethod || '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Customers;
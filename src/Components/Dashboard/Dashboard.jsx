@@ -1,120 +1,229 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, PieChart, Pie, Cell } from 'recharts';
 import './Dashboard.scss';
 import AddForm from '../AddForm/AddForm';
+import FilterBar from '../FilterBar/FilterBar';
+import PaymentBreakdown from '../PaymentBreakdown/PaymentBreakdown';
+import { matchesFilters, toQueryString } from '../../shared/filters';
+import { averageOrderValue, formatChange, percentChange, sumBuckets } from '../../shared/metrics';
+import { GRANULARITIES, GRANULARITY_LABELS, MAX_SERIES_LENGTH, createBucket, fillSeries, seriesLength, toPeriodStart } from '../../shared/periods';
+import { createCatalogIndex } from '../../shared/catalog';
+import { customerKey } from '../../shared/customers';
+import { describeItems, productTotals } from '../../shared/lineItems';
+import { STATUS_LABELS, isCancelled, netAmount, nextStatuses, statusOf } from '../../shared/orderStatus';
+import { addSaleToPayments, emptyPayments } from '../../shared/payments';
+import { can } from '../../shared/roles';
+import { TARGET_METRICS, targetProgress, targetsByPeriod } from '../../shared/targets';
+import { authFetch } from '../../auth/session';
+import { useAuth } from '../../auth/useAuth';
+import { useOutbox } from '../../outbox/useOutbox';
+import { useCatalog } from '../../stores/useCatalog';
+import { useSalesEvents } from '../../stores/useSalesEvents';
+import { useTargets } from '../../stores/useTargets';
+import { ALL_STORES, useStore } from '../../stores/useStore';
 
 const Dashboard = () => {
-  const [selectedPeriod, setSelectedPeriod] = useState('monthly');
+  const { user } = useAuth();
+  const allowed = (permission) => can(user?.role, permission);
+  const { storeId, storeUrl } = useStore();
+  const isAllStores = storeId === ALL_STORES;
+  const catalog = useCatalog(storeId);
+  const catalogIndex = useMemo(() => createCatalogIndex(catalog), [catalog]);
+  const { entries: outboxEntries, syncingId, syncedCount, retry: retrySale, discard: discardSale } = useOutbox();
+  const unsyncedSales = outboxEntries.filter((entry) => isAllStores || entry.storeId === storeId);
+  const targets = useTargets(storeId);
+  const [liveVersion, setLiveVersion] = useState(0);
+  const quietReloadKey = `${syncedCount}:${liveVersion}`;
+  const lastQuietReloadKey = useRef(quietReloadKey);
+
+  // Sales changed on another device or in Notion
+  useSalesEvents(storeId, () => setLiveVersion((version) => version + 1));
+  const [selectedPeriod, setSelectedPeriod] = useState('month');
   const [activeMetric, setActiveMetric] = useState('revenue');
   const [showModal, setShowModal] = useState(false);
-  const [monthlyData, setMonthlyData] = useState([]);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [showReportMenu, setShowReportMenu] = useState(false);
+  const [seriesData, setSeriesData] = useState([]);
   const [productData, setProductData] = useState([]);
+  const [previousPeriod, setPreviousPeriod] = useState(null);
+  const [periodSoFar, setPeriodSoFar] = useState(null);
   const [recentOrders, setRecentOrders] = useState([]);
+  const [payments, setPayments] = useState(emptyPayments);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ from: '', to: '', product: '', paymentMethod: '', customer: '' });
+  const [filterOptions, setFilterOptions] = useState({ products: [], paymentMethods: [], customers: [] });
+
+  const dataQuery = toQueryString({ granularity: selectedPeriod, ...filters });
+
+  const loadFilterOptions = useCallback(async () => {
+    if (!storeId) return;
+    try {
+      const res = await authFetch(storeUrl('/notion/options'));
+      const data = await res.json();
+      if (data.success) {
+        setFilterOptions({
+          products: data.products || [],
+          paymentMethods: data.paymentMethods || [],
+          customers: data.customers || []
+        });
+      }
+    } catch (err) {
+      console.error('❌ Error fetching filter options:', err);
+    }
+  }, [storeId, storeUrl]);
+
+  useEffect(() => {
+    loadFilterOptions();
+  }, [loadFilterOptions]);
 
   // ✅ Fetch from Notion when page loads with proper error handling
   useEffect(() => {
+    // Wait for the store list
+    if (!storeId) return;
+
+    // A queued sale reaching the server, or a change announced by the
+    // server, reloads the numbers in place: the spinner would also close
+    // an open sale form
+    const quietly = quietReloadKey !== lastQuietReloadKey.current;
+    lastQuietReloadKey.current = quietReloadKey;
+
     const fetchData = async () => {
       try {
-        setIsLoading(true);
+        if (quietly) {
+          loadFilterOptions();
+        } else {
+          setIsLoading(true);
+        }
         setError(null);
         
+        // The server caches this response and answers repeat loads with a
+        // 304, so no client-side cache is needed
         console.log('🔄 Fetching data from server...');
-        const res = await fetch("http://localhost:3000/proxy/notion");
-        
-        if (!res.ok) {
-          throw new Error(`Server returned ${res.status}: ${res.statusText}`);
-        }
+        const res = await authFetch(storeUrl(`/notion?${dataQuery}`));
         
         const data = await res.json();
         
-        if (!data.success) {
-          throw new Error(data.message || 'Failed to fetch data');
+        if (!res.ok || !data.success) {
+          throw new Error(data.error?.message || `Server returned ${res.status}: ${res.statusText}`);
         }
 
         console.log('✅ Data received:', {
-          monthly: data.monthly?.length || 0,
+          series: data.series?.length || 0,
           products: data.products?.length || 0,
           orders: data.orders?.length || 0
         });
 
-        setMonthlyData(data.monthly || []);
+        setSeriesData(data.series || []);
         setProductData(data.products || []);
         setRecentOrders(data.orders || []);
-        
-        // Cache data in localStorage for better UX
-        localStorage.setItem('cachedData', JSON.stringify({
-          monthly: data.monthly,
-          products: data.products,
-          orders: data.orders,
-          timestamp: new Date().getTime()
-        }));
-        
+        setPayments(data.payments || emptyPayments());
+        setPreviousPeriod(data.previous || null);
+        setPeriodSoFar(data.current || null);
       } catch (err) {
         console.error("❌ Error fetching data:", err);
-        setError(err.message);
-        
-        // Try to load cached data
-        const cachedData = localStorage.getItem('cachedData');
-        if (cachedData) {
-          try {
-            const parsedData = JSON.parse(cachedData);
-            // Only use cache if it's less than 1 hour old
-            if (new Date().getTime() - parsedData.timestamp < 3600000) {
-              setMonthlyData(parsedData.monthly || []);
-              setProductData(parsedData.products || []);
-              setRecentOrders(parsedData.orders || []);
-              console.log('📦 Using cached data');
-            }
-          } catch (cacheError) {
-            console.error('Error parsing cached data:', cacheError);
-          }
-        }
+        if (!quietly) setError(err.message);
       } finally {
         setIsLoading(false);
       }
     };
 
     fetchData();
-  }, []);
+  }, [dataQuery, storeId, storeUrl, quietReloadKey, loadFilterOptions]);
 
-  const colors = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+  const currentData = seriesData;
+  // The cards add up the range their change is about: the whole trend for
+  // a closed date range, otherwise the period in progress so far
+  const totals = periodSoFar || sumBuckets(currentData);
+  const totalRevenue = totals.revenue;
+  const totalOrders = totals.orders;
+  const totalNewCustomers = totals.newCustomers;
+  const avgOrderValue = averageOrderValue(totals);
 
-  const currentData = monthlyData;
-  const totalRevenue = currentData.reduce((sum, item) => sum + item.revenue, 0);
-  const totalOrders = currentData.reduce((sum, item) => sum + item.orders, 0);
-  const totalCustomers = currentData.reduce((sum, item) => sum + item.customers, 0);
-  const avgOrderValue = totalOrders > 0 ? (totalRevenue / totalOrders) : 0;
+  // A closed date range is compared with the range right before it;
+  // otherwise the period in progress so far is compared with the same days
+  // of the one before it. The server sends both sides.
+  let comparison = null;
+  if (previousPeriod) {
+    const formatDay = (day) => new Date(day).toLocaleDateString('en-PH', { month: 'short', day: 'numeric', year: 'numeric' });
+    const formatRange = ({ from, to }) => (from === to ? formatDay(from) : `${formatDay(from)} – ${formatDay(to)}`);
+    comparison = {
+      current: totals,
+      previous: previousPeriod,
+      label: periodSoFar
+        ? `${formatRange(periodSoFar)} vs ${formatRange(previousPeriod)}`
+        : `vs ${formatRange(previousPeriod)}`
+    };
+  }
+
+  // Targets for the period type and product / payment method filters
+  // shown, by period start
+  const periodTargets = targetsByPeriod(targets, {
+    granularity: selectedPeriod,
+    product: filters.product,
+    paymentMethod: filters.paymentMethod
+  });
+  const showTargetLine = TARGET_METRICS.includes(activeMetric)
+    && currentData.some((bucket) => periodTargets[bucket.key]?.[activeMetric] !== undefined);
+  const chartData = showTargetLine
+    ? currentData.map((bucket) => ({ ...bucket, target: periodTargets[bucket.key]?.[activeMetric] ?? null }))
+    : currentData;
+
+  // Progress toward the goal of the period we're in, unless the date
+  // filters leave it out
+  const today = new Date().toLocaleDateString('en-CA');
+  const currentPeriod = toPeriodStart(today, selectedPeriod);
+  const currentBucket = currentData.find((bucket) => bucket.key === currentPeriod);
+  const goalFor = (metric, format) => {
+    const target = periodTargets[currentPeriod]?.[metric];
+    if (target === undefined || (!currentBucket && (filters.from || filters.to))) return null;
+    const actual = currentBucket?.[metric] || 0;
+    const { progress, projected, onTrack } = targetProgress({ actual, target, period: currentPeriod, granularity: selectedPeriod, today });
+    return {
+      percent: Math.round(progress * 100),
+      text: `${Math.round(progress * 100)}% of ${format(target)} goal`,
+      projection: `${onTrack ? 'On pace' : 'Behind pace'}: ${format(Math.round(projected))} projected`,
+      onTrack
+    };
+  };
+  const formatPeso = (value) => value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' });
+
+  const changeFor = (getValue) => {
+    if (!comparison) {
+      return { text: '—', positive: true };
+    }
+    return formatChange(percentChange(getValue(comparison.current), getValue(comparison.previous)));
+  };
 
   const metrics = [
     { 
       id: 'revenue', 
       title: 'Total Revenue', 
       value: totalRevenue.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' }), 
-      change: '+0%',
-      positive: true 
+      ...changeFor((period) => period.revenue),
+      goal: goalFor('revenue', formatPeso)
     },
     { 
       id: 'orders', 
       title: 'Total Orders', 
       value: totalOrders.toString(), 
-      change: '+0%',
-      positive: true 
+      ...changeFor((period) => period.orders),
+      goal: goalFor('orders', (value) => value.toLocaleString('en-PH'))
     },
     { 
       id: 'customers', 
       title: 'New Customers', 
-      value: totalCustomers.toString(), 
-      change: '+0%',
-      positive: true 
+      value: totalNewCustomers.toString(), 
+      ...changeFor((period) => period.newCustomers)
     },
     { 
       id: 'avg', 
       title: 'Avg Order Value', 
       value: avgOrderValue.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' }), 
-      change: '+0%',
-      positive: true 
+      ...changeFor(averageOrderValue)
     }
   ];
 
@@ -124,68 +233,166 @@ const Dashboard = () => {
 
   const handleCloseModal = () => {
     setShowModal(false);
+    setEditingOrder(null);
   };
 
-  const handleFormSubmit = async (formData) => {
+  const handleEditOrder = (order) => {
+    setEditingOrder(order);
+    setShowModal(true);
+  };
+
+  const handleDeleteOrder = async (order) => {
+    if (!window.confirm(`Delete the ${order.amount} sale to ${order.customer}?`)) {
+      return;
+    }
+
+    try {
+      // In the all-stores view each order says which store it belongs to
+      const res = await authFetch(storeUrl(`/notion/${order.id}`, order.storeId || storeId), { method: 'DELETE' });
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+
+      await refreshData();
+    } catch (err) {
+      console.error('❌ Error deleting sale:', err);
+      window.alert(err.message || 'Failed to delete sale');
+    }
+  };
+
+  // Refunds ask how much went back; other changes are confirmed first
+  const handleStatusChange = async (order, status) => {
+    let refundedAmount;
+    if (status === 'refunded') {
+      const input = window.prompt(`How much of the ${order.amount} sale to ${order.customer} was refunded?`, String(order.amountValue));
+      if (input === null) {
+        return;
+      }
+      refundedAmount = input.trim();
+    } else if (!window.confirm(`Mark the ${order.amount} sale to ${order.customer} as ${STATUS_LABELS[status].toLowerCase()}?`)) {
+      return;
+    }
+
+    try {
+      const res = await authFetch(storeUrl(`/notion/${order.id}/status`, order.storeId || storeId), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, refundedAmount })
+      });
+      const result = await res.json();
+
+      if (!res.ok) {
+        const fieldMessage = Object.values(result.error?.fields || {})[0];
+        throw new Error(fieldMessage || result.error?.message || `Server error: ${res.status}`);
+      }
+
+      await refreshData();
+    } catch (err) {
+      console.error('❌ Error updating order status:', err);
+      window.alert(err.message || 'Failed to update order status');
+    }
+  };
+
+  // `sale` is the new sale as AddForm validated it and `customerCounts`
+  // how the server says it changed the customer counts (see
+  // customerCountChanges in server/aggregate.js), when it said
+  const handleFormSubmit = async (sale, customerCounts) => {
     try {
       // Update local state immediately for better UX
-      const { amount, customerName, productName, date, paymentMethod } = formData;
-      const amountNum = parseFloat(amount);
-      const month = new Date(date).toLocaleString('default', { month: 'short', year: 'numeric' });
-
-      // Update monthlyData
-      setMonthlyData(prev => {
-        const existingMonth = prev.find(item => item.name === month);
-        if (existingMonth) {
-          const existingCustomer = recentOrders.some(order => order.customer === customerName);
-          return prev.map(item =>
-            item.name === month
-              ? {
-                  ...item,
-                  revenue: item.revenue + amountNum,
-                  orders: item.orders + 1,
-                  customers: existingCustomer ? item.customers : item.customers + 1
-                }
-              : item
-          );
-        }
-        return [
-          ...prev,
-          { name: month, revenue: amountNum, orders: 1, customers: 1 }
-        ];
+      const { amount, customerName, customerContact, productName, date, paymentMethod } = sale;
+      // Named and grouped the way the server will, see src/shared/catalog.js
+      const saleProducts = productTotals(sale).map((product) => ({
+        ...product,
+        key: catalogIndex.groupKey(product.name),
+        ...catalogIndex.resolve(product.name)
+      }));
+
+      setFilterOptions(prev => {
+        const addOption = (list, value) => (list.includes(value) ? list : [...list, value].sort((a, b) => a.localeCompare(b)));
+        return {
+          products: saleProducts.reduce((list, product) => addOption(list, product.name), prev.products),
+          paymentMethods: addOption(prev.paymentMethods, paymentMethod),
+          customers: addOption(prev.customers, customerName)
+        };
+      });
+
+      const matches = matchesFilters(sale, filters);
+      const key = toPeriodStart(date, selectedPeriod);
+
+      // Customer counts depend on the customer's whole history, which the
+      // dashboard doesn't keep, so the server works out their changes
+      const addCustomers = (item, change) => (change
+        ? { ...item, customers: item.customers + change.customers, newCustomers: item.newCustomers + change.newCustomers }
+        : item);
+      setSeriesData(prev => {
+        const extended = [...prev, createBucket(key, selectedPeriod)];
+        // A sale far outside the trend is left to the reload, which
+        // reports the trend as too long
+        const series = matches && !prev.some(item => item.key === key)
+          && seriesLength(extended, selectedPeriod, filters) <= MAX_SERIES_LENGTH
+          ? fillSeries(extended, selectedPeriod, filters)
+          : prev;
+
+        return series.map(item => addCustomers(
+          matches && item.key === key && !isCancelled(sale)
+            ? { ...item, revenue: item.revenue + netAmount(sale), orders: item.orders + 1 }
+            : item,
+          customerCounts?.series.find(change => change.key === item.key)
+        ));
       });
+      setPeriodSoFar(prev => prev && addCustomers(
+        matches && !isCancelled(sale) && date >= prev.from && date <= prev.to
+          ? { ...prev, revenue: prev.revenue + netAmount(sale), orders: prev.orders + 1 }
+          : prev,
+        customerCounts?.current
+      ));
+      setLiveVersion(version => version + 1);
+
+      // A sale outside the active filters doesn't change the rest of the screen
+      if (!matches) {
+        return;
+      }
 
-      // Update productData
-      setProductData(prev => {
-        const existingProduct = prev.find(item => item.name === productName);
+      setPayments(prev => addSaleToPayments(prev, sale));
+
+      // Update productData, one entry per product on the sale
+      setProductData(prev => saleProducts.reduce((products, { key, name, color, revenue, units }) => {
+        const existingProduct = products.find(item => catalogIndex.groupKey(item.name) === key);
         if (existingProduct) {
-          return prev.map(item =>
-            item.name === productName
-              ? { ...item, value: item.value + amountNum }
+          return products.map(item =>
+            item === existingProduct
+              ? { ...item, value: item.value + revenue, units: item.units + units }
               : item
           );
         }
-        const newColor = colors[prev.length % colors.length];
         return [
-          ...prev,
-          { name: productName, value: amountNum, color: newColor }
+          ...products,
+          { name, value: revenue, units, color }
         ];
-      });
+      }, prev));
 
       // Update recentOrders
       setRecentOrders(prev => [
         {
-          id: `new-${Date.now()}`,
+          id: sale.id || `new-${Date.now()}`,
           customer: customerName,
-          amount: amountNum.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' }),
+          customerContact: customerContact || '',
+          amount: amount.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' }),
+          amountValue: amount,
           product: productName,
+          items: sale.items,
           date: new Date(date).toLocaleDateString('en-PH', { 
             year: 'numeric', 
             month: 'short', 
             day: 'numeric' 
           }),
           paymentMethod: paymentMethod,
-          status: 'completed'
+          status: statusOf(sale),
+          refundedAmount: 0,
+          // Only set in the combined "all stores" view, like the server's
+          storeId: isAllStores ? sale.storeId : undefined
         },
         ...prev.slice(0, 9) // Keep only the latest 10 orders
       ]);
@@ -195,19 +402,79 @@ const Dashboard = () => {
     }
   };
 
+  // Downloads every sale matching the current filters, not just the
+  // orders shown on screen
+  const handleExport = async (format) => {
+    setShowExportMenu(false);
+    setIsExporting(true);
+    try {
+      const res = await authFetch(storeUrl(`/export?${toQueryString({ format, ...filters })}`));
+      if (!res.ok) {
+        const result = await res.json();
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+
+      const blob = await res.blob();
+      const fileName = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `sales.${format}`;
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('❌ Error exporting sales:', err);
+      window.alert(err.message || 'Failed to export sales');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Opens the printable report for the filtered date range, or the current
+  // month when no complete range is set
+  const handleReport = async (format) => {
+    setShowReportMenu(false);
+    // Opened before the fetch so the popup blocker treats it as a click
+    const reportWindow = window.open('', '_blank');
+    try {
+      const range = filters.from && filters.to ? { from: filters.from, to: filters.to } : {};
+      const res = await authFetch(storeUrl(`/report?${toQueryString({ format, ...range })}`));
+      if (!res.ok) {
+        const result = await res.json();
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+
+      const url = URL.createObjectURL(await res.blob());
+      if (reportWindow) {
+        reportWindow.location.href = url;
+      } else {
+        window.location.href = url;
+      }
+    } catch (err) {
+      reportWindow?.close();
+      console.error('❌ Error generating report:', err);
+      window.alert(err.message || 'Failed to generate report');
+    }
+  };
+
   const refreshData = async () => {
     setIsLoading(true);
     setError(null);
     try {
-      const res = await fetch("http://localhost:3000/proxy/notion?refresh=" + Date.now());
+      loadFilterOptions();
+      const res = await authFetch(storeUrl(`/notion?${dataQuery}&refresh=${Date.now()}`));
       const data = await res.json();
       
       if (data.success) {
-        setMonthlyData(data.monthly || []);
+        setSeriesData(data.series || []);
+        setPreviousPeriod(data.previous || null);
+        setPeriodSoFar(data.current || null);
         setProductData(data.products || []);
         setRecentOrders(data.orders || []);
+        setPayments(data.payments || emptyPayments());
       }
     } catch (err) {
+      console.error('❌ Error refreshing data:', err);
       setError('Failed to refresh data');
     } finally {
       setIsLoading(false);
@@ -243,17 +510,79 @@ const Dashboard = () => {
           <p>Track your business performance</p>
         </div>
         <div className="dashboard__controls">
-         
-          <button 
-            className="dashboard__add-btn"
-            onClick={handleAddProduct}
+          <select
+            className="dashboard__select"
+            value={selectedPeriod}
+            onChange={(e) => setSelectedPeriod(e.target.value)}
           >
-            <ion-icon name="add-outline"></ion-icon>
-            Add Sale
-          </button>
+            {GRANULARITIES.map((granularity) => (
+              <option key={granularity} value={granularity}>
+                {GRANULARITY_LABELS[granularity]}
+              </option>
+            ))}
+          </select>
+          <div className="dashboard__export">
+            <button
+              className="dashboard__secondary-btn"
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              disabled={isExporting}
+            >
+              <ion-icon name="download-outline"></ion-icon>
+              {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+            {showExportMenu && (
+              <div className="dashboard__export-menu">
+                <button onClick={() => handleExport('csv')}>CSV</button>
+                <button onClick={() => handleExport('xlsx')}>Excel (XLSX)</button>
+                <button onClick={() => handleExport('json')}>JSON</button>
+              </div>
+            )}
+          </div>
+          <div className="dashboard__export">
+            <button
+              className="dashboard__secondary-btn"
+              onClick={() => setShowReportMenu(!showReportMenu)}
+            >
+              <ion-icon name="print-outline"></ion-icon>
+              Report
+            </button>
+            {showReportMenu && (
+              <div className="dashboard__export-menu">
+                <button onClick={() => handleReport('html')}>Printable page</button>
+                <button onClick={() => handleReport('pdf')}>PDF</button>
+              </div>
+            )}
+          </div>
+          <Link to="/customers" className="dashboard__secondary-btn">
+            <ion-icon name="people-outline"></ion-icon>
+            Customers
+          </Link>
+          {allowed('sales:import') && !isAllStores && (
+            <Link to="/import" className="dashboard__secondary-btn">
+              <ion-icon name="cloud-upload-outline"></ion-icon>
+              Import CSV
+            </Link>
+          )}
+          {allowed('admin') && !isAllStores && (
+            <Link to="/setup" className="dashboard__secondary-btn">
+              <ion-icon name="settings-outline"></ion-icon>
+              Setup
+            </Link>
+          )}
+          {allowed('sales:create') && (
+            <button 
+              className="dashboard__add-btn"
+              onClick={handleAddProduct}
+            >
+              <ion-icon name="add-outline"></ion-icon>
+              Add Sale
+            </button>
+          )}
         </div>
       </div>
 
+      <FilterBar filters={filters} options={filterOptions} onChange={setFilters} />
+
       <div className="dashboard__metrics">
         {metrics.map((metric) => (
           <div 
@@ -266,10 +595,30 @@ const Dashboard = () => {
             </div>
             <div className="metric-card__value">
               <span className="metric-card__number">{metric.value}</span>
-              <span className={`metric-card__change ${metric.positive ? 'metric-card__change--positive' : 'metric-card__change--negative'}`}>
-                {metric.change}
+              <span
+                className={`metric-card__change ${metric.positive ? 'metric-card__change--positive' : 'metric-card__change--negative'}`}
+                title={comparison?.label}
+              >
+                {metric.text}
               </span>
             </div>
+            {comparison && (
+              <p className="metric-card__compare">{comparison.label}</p>
+            )}
+            {metric.goal && (
+              <div className="metric-card__goal" title={`${GRANULARITY_LABELS[selectedPeriod]} goal for the current period`}>
+                <div className="metric-card__goal-bar">
+                  <span
+                    className={`metric-card__goal-fill ${metric.goal.onTrack ? '' : 'metric-card__goal-fill--behind'}`}
+                    style={{ width: `${Math.min(100, metric.goal.percent)}%` }}
+                  />
+                </div>
+                <p className="metric-card__goal-text">{metric.goal.text}</p>
+                <p className={`metric-card__goal-projection ${metric.goal.onTrack ? 'metric-card__goal-projection--on-track' : 'metric-card__goal-projection--behind'}`}>
+                  {metric.goal.projection}
+                </p>
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -302,7 +651,7 @@ const Dashboard = () => {
           <div className="chart-container__content">
             {currentData.length > 0 ? (
               <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={currentData}>
+                <LineChart data={chartData}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                   <XAxis 
                     dataKey="name" 
@@ -320,8 +669,24 @@ const Dashboard = () => {
                       borderRadius: '8px',
                       boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
                     }}
-                    formatter={(value) => [value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' }), activeMetric]}
+                    formatter={(value, name) => [
+                      activeMetric === 'revenue' ? formatPeso(value) : value.toLocaleString('en-PH'),
+                      name === 'target' ? 'target' : activeMetric
+                    ]}
                   />
+                  {showTargetLine && (
+                    <Line
+                      type="stepAfter"
+                      dataKey="target"
+                      stroke="#F59E0B"
+                      strokeWidth={2}
+                      strokeDasharray="6 4"
+                      dot={false}
+                      activeDot={false}
+                      connectNulls={false}
+                      isAnimationActive={false}
+                    />
+                  )}
                   <Line 
                     type="monotone" 
                     dataKey={activeMetric} 
@@ -369,7 +734,10 @@ const Dashboard = () => {
                         borderRadius: '8px',
                         boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
                       }}
-                      formatter={(value) => [value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' }), 'Amount']}
+                      formatter={(value, name, entry) => [
+                        `${value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' })} · ${entry.payload.units} sold`,
+                        'Amount'
+                      ]}
                     />
                   </PieChart>
                 </ResponsiveContainer>
@@ -381,6 +749,7 @@ const Dashboard = () => {
                         style={{ backgroundColor: item.color }}
                       ></div>
                       <span className="legend-item__text">{item.name}</span>
+                      <span className="legend-item__units">{item.units.toLocaleString('en-PH')} sold</span>
                       <span className="legend-item__value">{item.value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' })}</span>
                     </div>
                   ))}
@@ -395,10 +764,17 @@ const Dashboard = () => {
         </div>
       </div>
 
+      <PaymentBreakdown payments={payments} />
+
       <div className="dashboard__activity">
         <div className="activity-container">
           <div className="activity-container__header">
-            <h3>Recent Orders</h3>
+            <h3>
+              Recent Orders
+              {unsyncedSales.length > 0 && (
+                <span className="activity-container__unsynced">{unsyncedSales.length} not synced</span>
+              )}
+            </h3>
             <button className="activity-container__button" onClick={refreshData}>
               Refresh
             </button>
@@ -412,18 +788,109 @@ const Dashboard = () => {
               <span className="activity-item__payment">Payment</span>
               <span className="activity-item__amount">Amount</span>
               <span className="activity-item__status">Status</span>
+              <span className="activity-item__actions">Actions</span>
             </div>
+            {unsyncedSales.map(({ id, sale, status, lastError, fields }) => {
+              const state = syncingId === id ? 'syncing' : status;
+              const problem = fields ? Object.values(fields).join('; ') : lastError;
+              return (
+                <div key={id} className={`activity-item activity-item--unsynced activity-item--sync-${state}`}>
+                  <span className="activity-item__id" title="Saved on this device, not yet on the server">Not synced</span>
+                  <span className="activity-item__customer">{sale.customerName}</span>
+                  <span className="activity-item__product">{describeItems(sale.items)}</span>
+                  <span className="activity-item__date">
+                    {new Date(`${sale.date}T00:00:00`).toLocaleDateString('en-PH', { year: 'numeric', month: 'short', day: 'numeric' })}
+                  </span>
+                  <span className="activity-item__payment">{sale.paymentMethod}</span>
+                  <span className="activity-item__amount">
+                    {sale.amount.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' })}
+                  </span>
+                  <span className={`activity-item__status activity-item__status--sync-${state}`} title={problem || undefined}>
+                    {{ pending: 'Pending sync', syncing: 'Syncing...', failed: 'Sync failed' }[state]}
+                  </span>
+                  <span className="activity-item__actions">
+                    <button
+                      className="activity-item__action"
+                      onClick={() => retrySale(id)}
+                      title={state === 'failed' ? `Rejected: ${problem}. Send again` : `${problem || 'Waiting'}. Send now`}
+                      disabled={state === 'syncing'}
+                    >
+                      <ion-icon name="refresh-outline"></ion-icon>
+                    </button>
+                    <button
+                      className="activity-item__action activity-item__action--danger"
+                      onClick={() => {
+                        if (window.confirm(`Discard the unsent sale to ${sale.customerName}? It was never recorded on the server.`)) {
+                          discardSale(id);
+                        }
+                      }}
+                      title="Discard unsent sale"
+                      disabled={state === 'syncing'}
+                    >
+                      <ion-icon name="trash-outline"></ion-icon>
+                    </button>
+                  </span>
+                  {state === 'failed' && problem && (
+                    <span className="activity-item__sync-error">⚠ The server turned this sale down: {problem}</span>
+                  )}
+                </div>
+              );
+            })}
             {recentOrders.length > 0 ? (
               recentOrders.map((order) => (
                 <div key={order.id} className="activity-item">
                   <span className="activity-item__id">{order.id.substring(0, 8)}...</span>
-                  <span className="activity-item__customer">{order.customer}</span>
+                  <span className="activity-item__customer">
+                    <Link to={`/customers/${encodeURIComponent(customerKey({ customerName: order.customer, customerContact: order.customerContact }))}`}>
+                      {order.customer}
+                    </Link>
+                  </span>
                   <span className="activity-item__product">{order.product}</span>
                   <span className="activity-item__date">{order.date}</span>
                   <span className="activity-item__payment">{order.paymentMethod}</span>
                   <span className="activity-item__amount">{order.amount}</span>
-                  <span className={`activity-item__status activity-item__status--${order.status}`}>
-                    {order.status}
+                  {allowed('sales:update') && nextStatuses(order).length > 0 && !order.id.startsWith('new-') ? (
+                    <select
+                      className={`activity-item__status activity-item__status--${order.status}`}
+                      value={order.status}
+                      onChange={(e) => handleStatusChange(order, e.target.value)}
+                      title="Change status"
+                    >
+                      {[order.status, ...nextStatuses(order)].map((status) => (
+                        <option key={status} value={status}>
+                          {STATUS_LABELS[status]}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span
+                      className={`activity-item__status activity-item__status--${order.status}`}
+                      title={order.status === 'refunded'
+                        ? `Refunded ${order.refundedAmount.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' })}`
+                        : undefined}
+                    >
+                      {STATUS_LABELS[order.status] || order.status}
+                    </span>
+                  )}
+                  <span className="activity-item__actions">
+                    {allowed('sales:update') && !order.id.startsWith('new-') && (
+                      <button
+                        className="activity-item__action"
+                        onClick={() => handleEditOrder(order)}
+                        title="Edit sale"
+                      >
+                        <ion-icon name="create-outline"></ion-icon>
+                      </button>
+                    )}
+                    {allowed('sales:delete') && !order.id.startsWith('new-') && (
+                      <button
+                        className="activity-item__action activity-item__action--danger"
+                        onClick={() => handleDeleteOrder(order)}
+                        title="Delete sale"
+                      >
+                        <ion-icon name="trash-outline"></ion-icon>
+                      </button>
+                    )}
                   </span>
                 </div>
               ))
@@ -439,7 +906,26 @@ const Dashboard = () => {
       {showModal && (
         <div className="modal-overlay" onClick={handleCloseModal}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <AddForm onClose={handleCloseModal} onSubmit={handleFormSubmit} />
+            {editingOrder ? (
+              <AddForm
+                sale={{
+                  id: editingOrder.id,
+                  amount: editingOrder.amountValue,
+                  customerName: editingOrder.customer,
+                  customerContact: editingOrder.customerContact,
+                  productName: editingOrder.product,
+                  items: editingOrder.items,
+                  date: editingOrder.orderDate,
+                  paymentMethod: editingOrder.paymentMethod,
+                  status: editingOrder.status,
+                  storeId: editingOrder.storeId
+                }}
+                onClose={handleCloseModal}
+                onSubmit={refreshData}
+              />
+            ) : (
+              <AddForm onClose={handleCloseModal} onSubmit={handleFormSubmit} countsQuery={dataQuery} />
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,144 @@
+import React from 'react';
+import { periodEnd, previousPeriodStart, toPeriodStart } from '../../shared/periods';
+import { MAX_YEAR, MIN_YEAR } from '../../shared/saleSchema';
+import './FilterBar.scss';
+
+const datePresets = [
+  { id: 'this-month', label: 'This month', granularity: 'month', previous: false },
+  { id: 'last-month', label: 'Last month', granularity: 'month', previous: true },
+  { id: 'this-quarter', label: 'This quarter', granularity: 'quarter', previous: false },
+  { id: 'last-quarter', label: 'Last quarter', granularity: 'quarter', previous: true },
+  { id: 'this-year', label: 'This year', granularity: 'year', previous: false },
+  { id: 'last-year', label: 'Last year', granularity: 'year', previous: true }
+];
+
+const presetRange = ({ granularity, previous }) => {
+  const today = new Date().toISOString().split('T')[0];
+  let start = toPeriodStart(today, granularity);
+  if (previous) {
+    start = previousPeriodStart(start, granularity);
+  }
+  return { from: start, to: periodEnd(start, granularity) };
+};
+
+const FilterBar = ({ filters, options, onChange }) => {
+  const activePreset = datePresets.find((preset) => {
+    const range = presetRange(preset);
+    return range.from === filters.from && range.to === filters.to;
+  });
+
+  const updateFilter = (name, value) => {
+    onChange({ ...filters, [name]: value });
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = datePresets.find((item) => item.id === e.target.value);
+    onChange({ ...filters, ...(preset ? presetRange(preset) : { from: '', to: '' }) });
+  };
+
+  const handleClear = () => {
+    onChange({ from: '', to: '', product: '', paymentMethod: '', customer: '' });
+  };
+
+  const hasActiveFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-bar__group">
+        <label className="filter-bar__label" htmlFor="filter-preset">Period</label>
+        <select
+          id="filter-preset"
+          className="filter-bar__input"
+          value={activePreset ? activePreset.id : ''}
+          onChange={handlePresetChange}
+        >
+          <option value="">{filters.from || filters.to ? 'Custom range' : 'All time'}</option>
+          {datePresets.map((preset) => (
+            <option key={preset.id} value={preset.id}>{preset.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-bar__group">
+        <label className="filter-bar__label" htmlFor="filter-from">From</label>
+        <input
+          id="filter-from"
+          type="date"
+          className="filter-bar__input"
+          value={filters.from}
+          min={`${MIN_YEAR}-01-01`}
+          max={filters.to || `${MAX_YEAR}-12-31`}
+          onChange={(e) => updateFilter('from', e.target.value)}
+        />
+      </div>
+
+      <div className="filter-bar__group">
+        <label className="filter-bar__label" htmlFor="filter-to">To</label>
+        <input
+          id="filter-to"
+          type="date"
+          className="filter-bar__input"
+          value={filters.to}
+          min={filters.from || `${MIN_YEAR}-01-01`}
+          max={`${MAX_YEAR}-12-31`}
+          onChange={(e) => updateFilter('to', e.target.value)}
+        />
+      </div>
+
+      <div className="filter-bar__group">
+        <label className="filter-bar__label" htmlFor="filter-product">Product</label>
+        <select
+          id="filter-product"
+          className="filter-bar__input"
+          value={filters.product}
+          onChange={(e) => updateFilter('product', e.target.value)}
+        >
+          <option value="">All products</option>
+          {options.products.map((product) => (
+            <option key={product} value={product}>{product}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-bar__group">
+        <label className="filter-bar__label" htmlFor="filter-payment">Payment</label>
+        <select
+          id="filter-payment"
+          className="filter-bar__input"
+          value={filters.paymentMethod}
+          onChange={(e) => updateFilter('paymentMethod', e.target.value)}
+        >
+          <option value="">All methods</option>
+          {options.paymentMethods.map((method) => (
+            <option key={method} value={method}>{method}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-bar__group">
+        <label className="filter-bar__label" htmlFor="filter-customer">Customer</label>
+        <select
+          id="filter-customer"
+          className="filter-bar__input"
+          value={filters.customer}
+          onChange={(e) => updateFilter('customer', e.target.value)}
+        >
+          <option value="">All customers</option>
+          {options.customers.map((customer) => (
+            <option key={customer} value={customer}>{customer}</option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        className="filter-bar__clear"
+        onClick={handleClear}
+        disabled={!hasActiveFilters}
+      >
+        Clear filters
+      </button>
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -0,0 +1,356 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authFetch } from '../../auth/session';
+import { parseCsv } from '../../shared/csv';
+import { validateSale } from '../../shared/saleSchema';
+import { usePaymentMethods } from '../../stores/usePaymentMethods';
+import { ALL_STORES, useStore } from '../../stores/useStore';
+import './ImportSales.scss';
+
+const saleFields = [
+  { name: 'amount', label: 'Amount', required: true, guesses: ['amount', 'total', 'price', 'value'] },
+  { name: 'customerName', label: 'Customer', required: true, guesses: ['customer', 'customer name', 'name', 'client'] },
+  { name: 'productName', label: 'Product', required: true, guesses: ['product', 'product name', 'item'] },
+  { name: 'date', label: 'Date', required: true, guesses: ['date', 'order date', 'sale date'] },
+  { name: 'paymentMethod', label: 'Payment Method', required: true, guesses: ['payment method', 'payment', 'method', 'select'] },
+  { name: 'customerContact', label: 'Contact (optional)', required: false, guesses: ['contact', 'phone', 'email', 'mobile'] }
+];
+
+const dateFormats = [
+  { id: 'ymd', label: 'YYYY-MM-DD' },
+  { id: 'mdy', label: 'MM/DD/YYYY' },
+  { id: 'dmy', label: 'DD/MM/YYYY' }
+];
+
+// Rows sent per request; also how often the progress bar moves
+const CHUNK_SIZE = 100;
+
+const statusLabels = {
+  ready: 'Ready',
+  created: 'Imported',
+  duplicate: 'Duplicate',
+  invalid: 'Invalid',
+  failed: 'Failed'
+};
+
+const guessMapping = (headers) => {
+  const normalized = headers.map((header) => header.trim().toLowerCase());
+  return Object.fromEntries(saleFields.map((field) => {
+    const index = field.guesses.map((guess) => normalized.indexOf(guess)).find((i) => i !== -1);
+    return [field.name, index === undefined ? '' : String(index)];
+  }));
+};
+
+const pad = (value) => value.padStart(2, '0');
+
+// Spreadsheets write dates many ways; turn the chosen format into the
+// YYYY-MM-DD the API expects. Anything unrecognised is passed through and
+// reported by validation.
+const normalizeDate = (value, format) => {
+  const text = value.trim();
+  const parts = text.split(/[/.-]/);
+  if (parts.length !== 3) return text;
+
+  if (format === 'ymd') return `${parts[0]}-${pad(parts[1])}-${pad(parts[2])}`;
+  if (format === 'mdy') return `${parts[2]}-${pad(parts[0])}-${pad(parts[1])}`;
+  return `${parts[2]}-${pad(parts[1])}-${pad(parts[0])}`;
+};
+
+// "₱1,250.00" -> "1250.00"
+const normalizeAmount = (value) => value.replace(/PHP|₱|\$|,|\s/gi, '');
+
+// "gcash" -> "GCash", using the store's own spelling
+const normalizePaymentMethod = (value, paymentMethods) => {
+  const text = value.trim();
+  return paymentMethods.find((method) => method.toLowerCase() === text.toLowerCase()) || text;
+};
+
+const ImportSales = () => {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('ymd');
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const { stores, storeId, storeUrl } = useStore();
+  const store = stores.find((candidate) => candidate.id === storeId);
+  const canImport = Boolean(store);
+  const paymentMethods = usePaymentMethods(store ? storeId : null);
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const missingFields = saleFields.filter((field) => field.required && mapping[field.name] === '');
+
+  const mappedRows = rows.map((cells) => {
+    const sale = {};
+    saleFields.forEach(({ name }) => {
+      if (mapping[name] === '' || mapping[name] === undefined) return;
+      const raw = cells[Number(mapping[name])] ?? '';
+      if (name === 'date') sale[name] = normalizeDate(raw, dateFormat);
+      else if (name === 'amount') sale[name] = normalizeAmount(raw);
+      else if (name === 'paymentMethod') sale[name] = normalizePaymentMethod(raw, paymentMethods);
+      else sale[name] = raw.trim();
+    });
+    if (!sale.customerContact) delete sale.customerContact;
+    return sale;
+  });
+
+  const resetResults = () => {
+    setPreview(null);
+    setReport(null);
+    setProgress(null);
+  };
+
+  // A preview only holds for the store it was checked against
+  useEffect(() => {
+    setPreview(null);
+    setReport(null);
+    setProgress(null);
+  }, [storeId]);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const [headerRow = [], ...dataRows] = parseCsv(reader.result);
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setRows(dataRows);
+      setMapping(guessMapping(headerRow));
+      setError(dataRows.length === 0 ? 'The file has no data rows' : null);
+      resetResults();
+    };
+    reader.onerror = () => setError('Could not read the file');
+    reader.readAsText(file);
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping((prev) => ({ ...prev, [field]: value }));
+    resetResults();
+  };
+
+  // Sends the mapped rows in chunks and stitches the per-row reports
+  // together. The first data row is row 2 of the spreadsheet.
+  const sendRows = async (dryRun) => {
+    const entries = [];
+    for (let start = 0; start < mappedRows.length; start += CHUNK_SIZE) {
+      const res = await authFetch(storeUrl('/import'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rows: mappedRows.slice(start, start + CHUNK_SIZE),
+          dryRun,
+          skipDuplicates,
+          firstRow: start + 2
+        })
+      });
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      entries.push(...result.report);
+      if (!dryRun) {
+        setProgress({ done: Math.min(start + CHUNK_SIZE, mappedRows.length), total: mappedRows.length });
+      }
+    }
+    return entries;
+  };
+
+  const handlePreview = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      setPreview(await sendRows(true));
+    } catch (err) {
+      console.error('❌ Error previewing import:', err);
+      setError(err.message || 'Failed to preview import');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    setError(null);
+    setProgress({ done: 0, total: mappedRows.length });
+    try {
+      setReport(await sendRows(false));
+    } catch (err) {
+      console.error('❌ Error importing sales:', err);
+      setError(err.message || 'Import stopped before finishing');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const results = report || preview;
+  const counts = (results || []).reduce((acc, entry) => ({ ...acc, [entry.status]: (acc[entry.status] || 0) + 1 }), {});
+  const readyCount = counts.ready || 0;
+
+  return (
+    <div className="import-sales">
+      <div className="import-sales__header">
+        <div>
+          <h1>Import Sales</h1>
+          <p>
+            Upload a CSV of past sales, match its columns, then import
+            {store && stores.length > 1 && <> into <strong>{store.name}</strong></>}
+          </p>
+        </div>
+        <Link to="/" className="import-sales__back">← Back to dashboard</Link>
+      </div>
+
+      {error && <div className="import-sales__error">⚠ {error}</div>}
+      {storeId === ALL_STORES && (
+        <div className="import-sales__error">⚠ Choose a store in the switcher above to import into</div>
+      )}
+
+      <section className="import-sales__card">
+        <h3>1. Choose a file</h3>
+        <label className="import-sales__file">
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={isWorking} />
+          <span>{fileName ? `${fileName} (${rows.length} rows)` : 'Select a CSV file'}</span>
+        </label>
+      </section>
+
+      {headers.length > 0 && (
+        <section className="import-sales__card">
+          <h3>2. Match columns</h3>
+          <div className="import-sales__mapping">
+            {saleFields.map((field) => (
+              <div key={field.name} className="import-sales__field">
+                <label htmlFor={`map-${field.name}`}>{field.label}</label>
+                <select
+                  id={`map-${field.name}`}
+                  value={mapping[field.name] ?? ''}
+                  onChange={(e) => handleMappingChange(field.name, e.target.value)}
+                  disabled={isWorking}
+                >
+                  <option value="">{field.required ? 'Select a column' : 'Not in file'}</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={String(index)}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div className="import-sales__field">
+              <label htmlFor="date-format">Date format</label>
+              <select
+                id="date-format"
+                value={dateFormat}
+                onChange={(e) => {
+                  setDateFormat(e.target.value);
+                  resetResults();
+                }}
+                disabled={isWorking}
+              >
+                {dateFormats.map((format) => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <label className="import-sales__checkbox">
+            <input
+              type="checkbox"
+              checked={skipDuplicates}
+              onChange={(e) => {
+                setSkipDuplicates(e.target.checked);
+                resetResults();
+              }}
+              disabled={isWorking}
+            />
+            Skip rows that match an existing sale (same date, customer, product and amount)
+          </label>
+
+          <div className="import-sales__actions">
+            <button
+              className="import-sales__button"
+              onClick={handlePreview}
+              disabled={isWorking || !canImport || missingFields.length > 0 || rows.length === 0}
+            >
+              {isWorking && !progress ? 'Checking...' : 'Preview'}
+            </button>
+            <button
+              className="import-sales__button import-sales__button--primary"
+              onClick={handleImport}
+              disabled={isWorking || !canImport || !preview || readyCount === 0 || Boolean(report)}
+            >
+              {progress && !report ? `Importing ${progress.done}/${progress.total}...` : `Import ${readyCount} sales`}
+            </button>
+          </div>
+          {missingFields.length > 0 && (
+            <p className="import-sales__hint">
+              Match a column for: {missingFields.map((field) => field.label).join(', ')}
+            </p>
+          )}
+        </section>
+      )}
+
+      {progress && (
+        <div className="import-sales__progress">
+          <div
+            className="import-sales__progress-bar"
+            style={{ width: `${(progress.done / progress.total) * 100}%` }}
+          ></div>
+        </div>
+      )}
+
+      {results && (
+        <section className="import-sales__card">
+          <h3>{report ? '3. Import report' : '3. Preview'}</h3>
+          <div className="import-sales__summary">
+            {Object.entries(counts).map(([status, count]) => (
+              <span key={status} className={`import-sales__badge import-sales__badge--${status}`}>
+                {statusLabels[status]}: {count}
+              </span>
+            ))}
+          </div>
+          <div className="import-sales__table">
+            <div className="import-sales__row import-sales__row--header">
+              <span>Row</span>
+              <span>Date</span>
+              <span>Customer</span>
+              <span>Product</span>
+              <span>Payment</span>
+              <span>Amount</span>
+              <span>Status</span>
+            </div>
+            {results.map((entry) => {
+              const sale = mappedRows[entry.row - 2] || {};
+              // Server messages win; fall back to the same checks run locally
+              const errors = entry.errors || (entry.status === 'invalid' ? validateSale(sale, { values: { paymentMethod: paymentMethods } }).errors : null);
+              return (
+                <div key={entry.row} className="import-sales__row">
+                  <span>{entry.row}</span>
+                  <span>{sale.date}</span>
+                  <span>{sale.customerName}</span>
+                  <span>{sale.productName}</span>
+                  <span>{sale.paymentMethod}</span>
+                  <span>{sale.amount}</span>
+                  <span>
+                    <span className={`import-sales__badge import-sales__badge--${entry.status}`}>
+                      {statusLabels[entry.status]}
+                    </span>
+                    {errors && (
+                      <span className="import-sales__message">{Object.values(errors).join('; ')}</span>
+                    )}
+                    {entry.message && <span className="import-sales__message">{entry.message}</span>}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ImportSales;
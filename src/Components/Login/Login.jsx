@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../auth/useAuth';
+import { homePath } from '../../shared/roles';
+import './Login.scss';
+
+const Login = () => {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (user) {
+    return <Navigate to={homePath(user.role)} replace />;
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const loggedIn = await login(credentials.username, credentials.password);
+      // Back to the page that sent us here; ProtectedRoute redirects again
+      // if this role can't see it
+      navigate(location.state?.from || homePath(loggedIn.role), { replace: true });
+    } catch (err) {
+      console.error('❌ Error logging in:', err);
+      setError(err.message || 'Failed to log in');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login">
+      <form className="login__card" onSubmit={handleSubmit}>
+        <h1>Sales Dashboard</h1>
+        <p>Log in to continue</p>
+
+        {error && <div className="login__error">⚠ {error}</div>}
+
+        <label htmlFor="username" className="login__label">Username</label>
+        <input
+          id="username"
+          name="username"
+          className="login__input"
+          autoComplete="username"
+          value={credentials.username}
+          onChange={handleInputChange}
+          disabled={isSubmitting}
+          autoFocus
+          required
+        />
+
+        <label htmlFor="password" className="login__label">Password</label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          className="login__input"
+          autoComplete="current-password"
+          value={credentials.password}
+          onChange={handleInputChange}
+          disabled={isSubmitting}
+          required
+        />
+
+        <button type="submit" className="login__submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Logging in...' : 'Log In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
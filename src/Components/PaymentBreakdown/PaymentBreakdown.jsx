@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { DAILY_DAYS } from '../../shared/payments';
+import './PaymentBreakdown.scss';
+
+const colors = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+
+const formatCurrency = (value) => value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' });
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-PH', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Revenue or orders per payment method, plus daily totals per method for
+// reconciling the cash drawer against the e-wallet statements. `payments`
+// is the summary from src/shared/payments.js.
+const PaymentBreakdown = ({ payments }) => {
+  const [metric, setMetric] = useState('revenue');
+  const { methods, daily } = payments;
+
+  return (
+    <div className="payment-breakdown">
+      <div className="chart-container">
+        <div className="chart-container__header">
+          <h3>Sales by Payment Method</h3>
+          <div className="chart-tabs">
+            <button
+              className={`chart-tab ${metric === 'revenue' ? 'chart-tab--active' : ''}`}
+              onClick={() => setMetric('revenue')}
+            >
+              Revenue
+            </button>
+            <button
+              className={`chart-tab ${metric === 'orders' ? 'chart-tab--active' : ''}`}
+              onClick={() => setMetric('orders')}
+            >
+              Orders
+            </button>
+          </div>
+        </div>
+        <div className="chart-container__content">
+          {methods.length > 0 ? (
+            <ResponsiveContainer width="100%" height={Math.max(160, methods.length * 48)}>
+              <BarChart data={methods} layout="vertical" margin={{ left: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" horizontal={false} />
+                <XAxis type="number" stroke="#6B7280" fontSize={12} allowDecimals={metric === 'revenue'} />
+                <YAxis type="category" dataKey="name" stroke="#6B7280" fontSize={12} width={90} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: '#FFFFFF',
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px',
+                    boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
+                  }}
+                  formatter={(value) => [metric === 'revenue' ? formatCurrency(value) : value, metric === 'revenue' ? 'Revenue' : 'Orders']}
+                />
+                <Bar dataKey={metric} radius={[0, 6, 6, 0]}>
+                  {methods.map((entry, index) => (
+                    <Cell key={entry.name} fill={colors[index % colors.length]} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="no-data">
+              <p>No payment data available</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="chart-container">
+        <div className="chart-container__header">
+          <h3>Daily Totals by Method</h3>
+          <span className="payment-breakdown__hint">Last {DAILY_DAYS} days with sales</span>
+        </div>
+        {daily.length > 0 ? (
+          <div className="payment-breakdown__table-wrapper">
+            <table className="payment-breakdown__table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  {methods.map((method) => <th key={method.name} className="payment-breakdown__num">{method.name}</th>)}
+                  <th className="payment-breakdown__num">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {daily.map((day) => (
+                  <tr key={day.date}>
+                    <td>{formatDay(day.date)}</td>
+                    {methods.map((method) => {
+                      const totals = day.byMethod[method.name];
+                      return (
+                        <td key={method.name} className="payment-breakdown__num">
+                          {totals ? formatCurrency(totals.revenue) : '–'}
+                          {totals && <span className="payment-breakdown__orders">{totals.orders}×</span>}
+                        </td>
+                      );
+                    })}
+                    <td className="payment-breakdown__num payment-breakdown__total">{formatCurrency(day.revenue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="no-data">
+            <p>No sales in this period</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentBreakdown;
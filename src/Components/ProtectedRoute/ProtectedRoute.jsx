@@ -0,0 +1,22 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../auth/useAuth';
+import { can, homePath } from '../../shared/roles';
+
+// Renders `children` for a logged-in user whose role has `permission`.
+// Anyone else is sent to the login page, or to their own home screen when
+// they are logged in but not allowed here.
+const ProtectedRoute = ({ permission, children }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  if (permission && !can(user.role, permission)) {
+    return <Navigate to={homePath(user.role)} replace />;
+  }
+  return children;
+};
+
+export default ProtectedRoute;
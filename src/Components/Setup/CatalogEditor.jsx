@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '../../auth/session';
+import { MAX_CATALOG_ENTRIES, PRODUCT_COLORS, validateCatalog } from '../../shared/catalog';
+import { useStore } from '../../stores/useStore';
+
+// Aliases are edited as one comma-separated field
+const toRow = (entry) => ({
+  name: entry.name,
+  aliases: entry.aliases.join(', '),
+  price: entry.price ?? '',
+  color: entry.color
+});
+
+const toEntry = (row) => ({
+  name: row.name,
+  aliases: row.aliases.split(',').map((alias) => alias.trim()).filter(Boolean),
+  price: row.price,
+  color: row.color
+});
+
+// Edits the current store's product catalog: the canonical product names,
+// other spellings that count as the same product, a preset price for the
+// sale form and the product's chart color.
+const CatalogEditor = () => {
+  const { storeUrl } = useStore();
+  const [rows, setRows] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadCatalog = useCallback(async () => {
+    try {
+      const res = await authFetch(storeUrl('/catalog'));
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.error?.message || `Server error: ${res.status}`);
+      }
+      setRows(data.catalog.map(toRow));
+    } catch (err) {
+      console.error('❌ Error fetching product catalog:', err);
+      setError(err.message || 'Failed to load the product catalog');
+    }
+  }, [storeUrl]);
+
+  useEffect(() => {
+    loadCatalog();
+  }, [loadCatalog]);
+
+  const updateRows = (next) => {
+    setRows(next);
+    setError(null);
+    setMessage(null);
+  };
+
+  const updateRow = (index, field, value) => {
+    updateRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleAdd = () => {
+    const used = new Set(rows.map((row) => row.color));
+    const color = PRODUCT_COLORS.find((candidate) => !used.has(candidate)) || PRODUCT_COLORS[rows.length % PRODUCT_COLORS.length];
+    updateRows([...rows, { name: '', aliases: '', price: '', color }]);
+  };
+
+  const handleSave = async () => {
+    const { value, error: catalogError } = validateCatalog(rows.map(toEntry));
+    if (catalogError) {
+      setError(catalogError);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const res = await authFetch(storeUrl('/catalog'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ catalog: value })
+      });
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setRows(result.catalog.map(toRow));
+      setMessage(result.message);
+    } catch (err) {
+      console.error('❌ Error saving product catalog:', err);
+      setError(err.message || 'Failed to save the product catalog');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="setup__card">
+      <h3>Product Catalog</h3>
+      <p className="setup__hint">
+        Sales naming a product or one of its aliases are grouped under the product&apos;s name. The price prefills the sale form.
+      </p>
+      {error && <div className="setup__error">⚠ {error}</div>}
+      {message && <div className="setup__success">✓ {message}</div>}
+
+      <div className="setup__catalog">
+        {rows.length > 0 && (
+          <div className="setup__product setup__product--header">
+            <span>Color</span>
+            <span>Product</span>
+            <span>Aliases (comma-separated)</span>
+            <span>Price</span>
+            <span></span>
+          </div>
+        )}
+        {rows.map((row, index) => (
+          <div key={index} className="setup__product">
+            <input
+              type="color"
+              value={row.color}
+              onChange={(e) => updateRow(index, 'color', e.target.value.toUpperCase())}
+              disabled={isSaving}
+              aria-label={`Color of product ${index + 1}`}
+            />
+            <input
+              value={row.name}
+              onChange={(e) => updateRow(index, 'name', e.target.value)}
+              placeholder="e.g. Iced Latte"
+              disabled={isSaving}
+              aria-label={`Product ${index + 1}`}
+            />
+            <input
+              value={row.aliases}
+              onChange={(e) => updateRow(index, 'aliases', e.target.value)}
+              placeholder="e.g. Latte (iced), Ice Latte"
+              disabled={isSaving}
+              aria-label={`Aliases of product ${index + 1}`}
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={row.price}
+              onChange={(e) => updateRow(index, 'price', e.target.value)}
+              placeholder="–"
+              disabled={isSaving}
+              aria-label={`Price of product ${index + 1}`}
+            />
+            <button
+              className="setup__remove"
+              onClick={() => updateRows(rows.filter((_, i) => i !== index))}
+              disabled={isSaving}
+              title="Remove"
+            >
+              <ion-icon name="close-outline"></ion-icon>
+            </button>
+          </div>
+        ))}
+        {rows.length === 0 && <p className="setup__hint">No products yet; chart colors are picked from the product names.</p>}
+      </div>
+
+      <div className="setup__actions">
+        <button className="setup__button" onClick={handleAdd} disabled={isSaving || rows.length >= MAX_CATALOG_ENTRIES}>
+          Add Product
+        </button>
+        <button className="setup__button setup__button--primary" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Catalog'}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default CatalogEditor;
@@ -0,0 +1,132 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '../../auth/session';
+import { MAX_PAYMENT_METHODS, validatePaymentMethods } from '../../shared/payments';
+import { useStore } from '../../stores/useStore';
+
+const sourceLabels = {
+  settings: 'Saved list',
+  notion: 'Taken from the Notion select options',
+  default: 'Built-in list'
+};
+
+// Edits the payment methods the current store accepts. Saving turns the
+// list into the store's own, replacing the Notion options or defaults.
+const PaymentMethodsEditor = () => {
+  const { storeUrl } = useStore();
+  const [methods, setMethods] = useState([]);
+  const [source, setSource] = useState(null);
+  const [newMethod, setNewMethod] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadMethods = useCallback(async () => {
+    try {
+      const res = await authFetch(storeUrl('/payment-methods'));
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.error?.message || `Server error: ${res.status}`);
+      }
+      setMethods(data.paymentMethods);
+      setSource(data.source);
+    } catch (err) {
+      console.error('❌ Error fetching payment methods:', err);
+      setError(err.message || 'Failed to load payment methods');
+    }
+  }, [storeUrl]);
+
+  useEffect(() => {
+    loadMethods();
+  }, [loadMethods]);
+
+  const updateMethods = (next) => {
+    setMethods(next);
+    setError(null);
+    setMessage(null);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newMethod.trim()) return;
+    updateMethods([...methods, newMethod.trim()]);
+    setNewMethod('');
+  };
+
+  const handleSave = async () => {
+    const { value, error: listError } = validatePaymentMethods(methods);
+    if (listError) {
+      setError(listError);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const res = await authFetch(storeUrl('/payment-methods'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paymentMethods: value })
+      });
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setMethods(result.paymentMethods);
+      setSource(result.source);
+      setMessage(result.message);
+    } catch (err) {
+      console.error('❌ Error saving payment methods:', err);
+      setError(err.message || 'Failed to save payment methods');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="setup__card">
+      <h3>Payment Methods</h3>
+      {source && <p className="setup__hint">{sourceLabels[source] || source}</p>}
+      {error && <div className="setup__error">⚠ {error}</div>}
+      {message && <div className="setup__success">✓ {message}</div>}
+
+      <div className="setup__methods">
+        {methods.map((method, index) => (
+          <div key={index} className="setup__method">
+            <input
+              value={method}
+              onChange={(e) => updateMethods(methods.map((item, i) => (i === index ? e.target.value : item)))}
+              disabled={isSaving}
+              aria-label={`Payment method ${index + 1}`}
+            />
+            <button
+              className="setup__remove"
+              onClick={() => updateMethods(methods.filter((_, i) => i !== index))}
+              disabled={isSaving}
+              title="Remove"
+            >
+              <ion-icon name="close-outline"></ion-icon>
+            </button>
+          </div>
+        ))}
+        <form className="setup__method" onSubmit={handleAdd}>
+          <input
+            value={newMethod}
+            onChange={(e) => setNewMethod(e.target.value)}
+            placeholder="New method, e.g. Maya"
+            disabled={isSaving || methods.length >= MAX_PAYMENT_METHODS}
+          />
+          <button type="submit" className="setup__button" disabled={isSaving || !newMethod.trim()}>
+            Add
+          </button>
+        </form>
+      </div>
+
+      <div className="setup__actions">
+        <button className="setup__button setup__button--primary" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Payment Methods'}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default PaymentMethodsEditor;
@@ -0,0 +1,162 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authFetch } from '../../auth/session';
+import { ALL_STORES, useStore } from '../../stores/useStore';
+import CatalogEditor from './CatalogEditor';
+import PaymentMethodsEditor from './PaymentMethodsEditor';
+import TargetsEditor from './TargetsEditor';
+import './Setup.scss';
+
+// Lets an owner point each sale field at a column of the store's Notion
+// database, and edit the store's payment methods, product catalog and sales
+// targets. The property list and types come from /test-database, and the
+// server checks the types again before saving.
+const Setup = () => {
+  const { stores, storeId, storeUrl } = useStore();
+  const store = stores.find((candidate) => candidate.id === storeId);
+  const [database, setDatabase] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDatabase = useCallback(async () => {
+    if (!storeId || storeId === ALL_STORES) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const res = await authFetch(storeUrl('/test-database'));
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setDatabase(result.data);
+      setMapping(result.data.mapping || {});
+      setErrors(result.data.problems || {});
+    } catch (err) {
+      console.error('❌ Error reading database:', err);
+      setDatabase(null);
+      setError(err.message || 'Failed to read the database');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [storeId, storeUrl]);
+
+  useEffect(() => {
+    loadDatabase();
+  }, [loadDatabase]);
+
+  const handleChange = (field, value) => {
+    setMapping((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: '' }));
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await authFetch(storeUrl('/property-mapping'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mapping })
+      });
+      const result = await res.json();
+      if (!res.ok) {
+        setErrors(result.error?.fields || {});
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setMessage(result.message);
+      await loadDatabase();
+    } catch (err) {
+      console.error('❌ Error saving property mapping:', err);
+      setError(err.message || 'Failed to save the property mapping');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fields = database?.fields ? Object.entries(database.fields) : [];
+
+  return (
+    <div className="setup">
+      <div className="setup__header">
+        <div>
+          <h1>Store Setup</h1>
+          <p>
+            Match each sale field to a column of {store ? <strong>{store.name}</strong> : 'the store'}'s database and manage its payment methods, products and targets
+          </p>
+        </div>
+        <Link to="/" className="setup__back">← Back to dashboard</Link>
+      </div>
+
+      {storeId === ALL_STORES && (
+        <div className="setup__error">⚠ Choose a store in the switcher above to set it up</div>
+      )}
+      {error && <div className="setup__error">⚠ {error}</div>}
+      {message && <div className="setup__success">✓ {message}</div>}
+
+      {isLoading && <div className="setup__card">Reading the database...</div>}
+
+      {!isLoading && database && fields.length === 0 && (
+        <div className="setup__card">
+          This store keeps its sales in {database.title || 'a local file'}, which needs no property mapping.
+        </div>
+      )}
+
+      {!isLoading && fields.length > 0 && (
+        <section className="setup__card">
+          <h3>{database.title || 'Notion database'}</h3>
+          <div className="setup__rows">
+            {fields.map(([field, { label, types, required }]) => {
+              const choices = database.properties.filter((property) => types.includes(property.type));
+              const current = mapping[field] || '';
+              const isMissing = current && !database.properties.some((property) => property.name === current);
+              return (
+                <div key={field} className="setup__row">
+                  <label htmlFor={`mapping-${field}`}>
+                    {label}
+                    <span className="setup__types">{types.join(' / ')}{required ? '' : ', optional'}</span>
+                  </label>
+                  <select
+                    id={`mapping-${field}`}
+                    value={current}
+                    onChange={(e) => handleChange(field, e.target.value)}
+                    className={errors[field] ? 'setup__select--error' : ''}
+                    disabled={isSaving}
+                  >
+                    <option value="">{required ? 'Choose a property' : 'Not used'}</option>
+                    {isMissing && <option value={current}>{current} (not in database)</option>}
+                    {choices.map((property) => (
+                      <option key={property.name} value={property.name}>
+                        {property.name} ({property.type})
+                      </option>
+                    ))}
+                  </select>
+                  {errors[field] && <span className="setup__problem">{errors[field]}</span>}
+                </div>
+              );
+            })}
+          </div>
+          <div className="setup__actions">
+            <button className="setup__button" onClick={loadDatabase} disabled={isSaving}>
+              Re-read database
+            </button>
+            <button className="setup__button setup__button--primary" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Mapping'}
+            </button>
+          </div>
+        </section>
+      )}
+
+      {store && <PaymentMethodsEditor key={store.id} />}
+      {store && <CatalogEditor key={store.id} />}
+      {store && <TargetsEditor key={store.id} />}
+    </div>
+  );
+};
+
+export default Setup;
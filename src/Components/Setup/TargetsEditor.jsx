@@ -0,0 +1,240 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '../../auth/session';
+import { GRANULARITIES, GRANULARITY_LABELS, periodLabel } from '../../shared/periods';
+import { TARGET_METRICS, validateTarget } from '../../shared/targets';
+import { useStore } from '../../stores/useStore';
+
+const METRIC_LABELS = { revenue: 'Revenue', orders: 'Orders' };
+
+const emptyTarget = () => ({
+  granularity: 'month',
+  period: new Date().toLocaleDateString('en-CA'),
+  metric: 'revenue',
+  value: '',
+  product: '',
+  paymentMethod: ''
+});
+
+const formatValue = ({ metric, value }) => (metric === 'revenue'
+  ? value.toLocaleString('en-PH', { style: 'currency', currency: 'PHP' })
+  : value.toLocaleString('en-PH'));
+
+// Lists and edits the current store's revenue and order targets. A target
+// covers one period (any date in it will do) and optionally only one
+// product or payment method; the dashboard shows the ones matching its
+// period type and filters.
+const TargetsEditor = () => {
+  const { storeUrl } = useStore();
+  const [targets, setTargets] = useState([]);
+  const [form, setForm] = useState(emptyTarget);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadTargets = useCallback(async () => {
+    try {
+      const res = await authFetch(storeUrl('/targets'));
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.error?.message || `Server error: ${res.status}`);
+      }
+      setTargets(data.targets);
+    } catch (err) {
+      console.error('❌ Error fetching targets:', err);
+      setError(err.message || 'Failed to load targets');
+    }
+  }, [storeUrl]);
+
+  useEffect(() => {
+    loadTargets();
+  }, [loadTargets]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: '' }));
+    setMessage(null);
+  };
+
+  const handleEdit = (target) => {
+    setEditingId(target.id);
+    setForm({
+      ...target,
+      value: String(target.value),
+      product: target.product || '',
+      paymentMethod: target.paymentMethod || ''
+    });
+    setErrors({});
+    setError(null);
+    setMessage(null);
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setForm(emptyTarget());
+    setErrors({});
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { granularity, period, metric, value, product, paymentMethod } = form;
+    const body = { granularity, period, metric, value, product, paymentMethod };
+    const { errors: formErrors } = validateTarget(body);
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const res = await authFetch(storeUrl(editingId ? `/targets/${editingId}` : '/targets'), {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await res.json();
+      if (!res.ok) {
+        if (result.error?.fields) setErrors(result.error.fields);
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setMessage(result.message);
+      setEditingId(null);
+      setForm(emptyTarget());
+      await loadTargets();
+    } catch (err) {
+      console.error('❌ Error saving target:', err);
+      setError(err.message || 'Failed to save target');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    const name = `${METRIC_LABELS[target.metric]} target for ${periodLabel(target.period, target.granularity)}`;
+    if (!window.confirm(`Delete the ${name}?`)) return;
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await authFetch(storeUrl(`/targets/${target.id}`), { method: 'DELETE' });
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error?.message || `Server error: ${res.status}`);
+      }
+      setMessage(result.message);
+      if (editingId === target.id) handleCancel();
+      await loadTargets();
+    } catch (err) {
+      console.error('❌ Error deleting target:', err);
+      setError(err.message || 'Failed to delete target');
+    }
+  };
+
+  const sorted = [...targets].sort((a, b) => b.period.localeCompare(a.period) || a.granularity.localeCompare(b.granularity));
+
+  return (
+    <section className="setup__card">
+      <h3>Sales Targets</h3>
+      <p className="setup__hint">
+        Goals per period, shown as a line on the revenue trend and as progress on the dashboard&apos;s cards.
+        Leave product and payment method empty for a store-wide target.
+      </p>
+      {error && <div className="setup__error">⚠ {error}</div>}
+      {message && <div className="setup__success">✓ {message}</div>}
+
+      {sorted.length > 0 && (
+        <table className="setup__targets">
+          <thead>
+            <tr>
+              <th>Period</th>
+              <th>Metric</th>
+              <th>Scope</th>
+              <th className="setup__num">Target</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((target) => (
+              <tr key={target.id} className={editingId === target.id ? 'setup__target--editing' : ''}>
+                <td>{GRANULARITY_LABELS[target.granularity]} · {periodLabel(target.period, target.granularity)}</td>
+                <td>{METRIC_LABELS[target.metric]}</td>
+                <td>{[target.product, target.paymentMethod].filter(Boolean).join(' · ') || 'Whole store'}</td>
+                <td className="setup__num">{formatValue(target)}</td>
+                <td className="setup__num">
+                  <button className="setup__remove" onClick={() => handleEdit(target)} title="Edit" disabled={isSaving}>
+                    <ion-icon name="create-outline"></ion-icon>
+                  </button>
+                  <button className="setup__remove" onClick={() => handleDelete(target)} title="Delete" disabled={isSaving}>
+                    <ion-icon name="trash-outline"></ion-icon>
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form className="setup__target-form" onSubmit={handleSave}>
+        <label className="setup__field">
+          Period type
+          <select name="granularity" value={form.granularity} onChange={handleChange} disabled={isSaving}>
+            {GRANULARITIES.map((granularity) => (
+              <option key={granularity} value={granularity}>{GRANULARITY_LABELS[granularity]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="setup__field">
+          Any day in the period
+          <input type="date" name="period" value={form.period} onChange={handleChange} disabled={isSaving} />
+          {errors.period && <span className="setup__problem">{errors.period}</span>}
+        </label>
+        <label className="setup__field">
+          Metric
+          <select name="metric" value={form.metric} onChange={handleChange} disabled={isSaving}>
+            {TARGET_METRICS.map((metric) => (
+              <option key={metric} value={metric}>{METRIC_LABELS[metric]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="setup__field">
+          Target
+          <input
+            type="number"
+            name="value"
+            value={form.value}
+            onChange={handleChange}
+            min="0"
+            step={form.metric === 'orders' ? '1' : '0.01'}
+            placeholder={form.metric === 'orders' ? 'e.g. 300' : 'e.g. 150000'}
+            disabled={isSaving}
+          />
+          {errors.value && <span className="setup__problem">{errors.value}</span>}
+        </label>
+        <label className="setup__field">
+          Product (optional)
+          <input name="product" value={form.product} onChange={handleChange} placeholder="Whole store" disabled={isSaving} />
+          {errors.product && <span className="setup__problem">{errors.product}</span>}
+        </label>
+        <label className="setup__field">
+          Payment method (optional)
+          <input name="paymentMethod" value={form.paymentMethod} onChange={handleChange} placeholder="Any" disabled={isSaving} />
+          {errors.paymentMethod && <span className="setup__problem">{errors.paymentMethod}</span>}
+        </label>
+        <div className="setup__actions">
+          {editingId && (
+            <button type="button" className="setup__button" onClick={handleCancel} disabled={isSaving}>
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="setup__button setup__button--primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : editingId ? 'Update Target' : 'Add Target'}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default TargetsEditor;
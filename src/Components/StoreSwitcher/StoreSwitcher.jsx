@@ -0,0 +1,33 @@
+import React from 'react';
+import { useAuth } from '../../auth/useAuth';
+import { can } from '../../shared/roles';
+import { ALL_STORES, useStore } from '../../stores/useStore';
+import './StoreSwitcher.scss';
+
+// Picks the store every screen works on. Only shown when there is more
+// than one; "All stores" is a read-only view, so only roles that can read
+// the dashboard get it.
+const StoreSwitcher = () => {
+  const { user } = useAuth();
+  const { stores, storeId, setStoreId } = useStore();
+
+  if (stores.length < 2 || !storeId) return null;
+
+  return (
+    <label className="store-switcher">
+      <ion-icon name="storefront-outline"></ion-icon>
+      <select
+        className="store-switcher__select"
+        value={storeId}
+        onChange={(e) => setStoreId(e.target.value)}
+      >
+        {can(user?.role, 'sales:read') && <option value={ALL_STORES}>All stores</option>}
+        {stores.map((store) => (
+          <option key={store.id} value={store.id}>{store.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default StoreSwitcher;
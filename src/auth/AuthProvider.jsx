@@ -0,0 +1,43 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { apiUrl } from '../config';
+import { AuthContext } from './useAuth';
+import { LOGOUT_EVENT, clearSession, loadSession, saveSession } from './session';
+
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(loadSession);
+
+  // authFetch ends the session when the server answers 401
+  useEffect(() => {
+    const handleLogout = () => setSession(null);
+    window.addEventListener(LOGOUT_EVENT, handleLogout);
+    return () => window.removeEventListener(LOGOUT_EVENT, handleLogout);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const res = await fetch(apiUrl('/proxy/auth/login'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error?.message || `Server error: ${res.status}`);
+    }
+
+    const newSession = { token: result.token, expiresAt: result.expiresAt, user: result.user };
+    saveSession(newSession);
+    setSession(newSession);
+    return result.user;
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  const value = useMemo(() => ({ user: session?.user || null, login, logout }), [session, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,42 @@
+// The logged-in session ({ token, expiresAt, user }) lives in localStorage
+// so it survives reloads. authFetch is a drop-in for fetch() that sends
+// the token and ends the session when the server rejects it.
+
+const STORAGE_KEY = 'salesSession';
+export const LOGOUT_EVENT = 'sales:logout';
+
+export function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (session && Date.parse(session.expiresAt) > Date.now()) {
+      return session;
+    }
+  } catch (err) {
+    console.error('❌ Error reading saved session:', err);
+  }
+  localStorage.removeItem(STORAGE_KEY);
+  return null;
+}
+
+export function saveSession(session) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export async function authFetch(url, options = {}) {
+  const session = loadSession();
+  const headers = new Headers(options.headers);
+  if (session) {
+    headers.set('Authorization', `Bearer ${session.token}`);
+  }
+
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401) {
+    clearSession();
+    window.dispatchEvent(new Event(LOGOUT_EVENT));
+  }
+  return res;
+}
@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext(null);
+
+// { user, login(username, password), logout() } from the nearest AuthProvider
+export function useAuth() {
+  return useContext(AuthContext);
+}
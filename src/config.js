@@ -0,0 +1,28 @@
+// Where the API lives. In order of precedence:
+//
+//   1. `apiBaseUrl` in /config.js (public/config.js, copied to dist/), which
+//      can be edited on a deployed build without rebuilding
+//   2. VITE_API_BASE_URL at build time
+//   3. http://localhost:3000 under `npm run dev`, otherwise the app's own
+//      origin (server.js with SERVE_CLIENT=true serves both)
+//
+// An empty value means the app's own origin.
+
+const runtimeConfig = (typeof window !== 'undefined' && window.salesConfig) || {};
+
+function pickBaseUrl() {
+  if (typeof runtimeConfig.apiBaseUrl === 'string' && runtimeConfig.apiBaseUrl) {
+    return runtimeConfig.apiBaseUrl;
+  }
+  if (import.meta.env.VITE_API_BASE_URL) {
+    return import.meta.env.VITE_API_BASE_URL;
+  }
+  return import.meta.env.DEV ? 'http://localhost:3000' : '';
+}
+
+export const API_BASE_URL = pickBaseUrl().replace(/\/+$/, '');
+
+// `path` starts with /proxy
+export function apiUrl(path) {
+  return `${API_BASE_URL}${path}`;
+}
@@ -0,0 +1,148 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { authFetch } from '../auth/session';
+import { useAuth } from '../auth/useAuth';
+import { useStore } from '../stores/useStore';
+import { deleteEntry, listEntries, putEntry, updateEntry } from './outboxDb';
+import { isTransient } from './retryPolicy';
+import { OutboxContext } from './useOutbox';
+
+// Seconds to wait before the next attempt, by attempts made so far
+const RETRY_DELAYS = [5, 15, 30, 60, 120, 300];
+const CHECK_INTERVAL = 10 * 1000;
+
+// POSTs one queued sale. Resolves with { sent }, { retry, message } for
+// problems that may go away by themselves (no connection, server down,
+// logged out) or { failed, message, fields } when the server turned the
+// sale down, or may have saved it after all, and someone has to look at
+// it.
+async function sendEntry(entry, url) {
+  let res;
+  try {
+    res = await authFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id },
+      body: JSON.stringify(entry.body)
+    });
+  } catch {
+    return { retry: true, message: 'No connection to the server' };
+  }
+  if (res.ok) {
+    return { sent: true };
+  }
+
+  const result = await res.json().catch(() => ({}));
+  const message = result.error?.message || `Server error: ${res.status}`;
+  return isTransient(res, result.error?.code) ? { retry: true, message } : { failed: true, message, fields: result.error?.fields };
+}
+
+// Keeps sales that couldn't be sent in IndexedDB and sends them once the
+// server can be reached: every few seconds while any are due, and right
+// away when the browser comes back online. Each sale keeps its
+// Idempotency-Key, so one that did reach the server before the connection
+// dropped isn't recorded twice.
+const OutboxProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { storeUrl } = useStore();
+  const [entries, setEntries] = useState([]);
+  const [syncingId, setSyncingId] = useState(null);
+  const [syncedCount, setSyncedCount] = useState(0);
+  const isSyncing = useRef(false);
+  const username = user?.username;
+
+  const reload = useCallback(async () => {
+    try {
+      const all = await listEntries();
+      setEntries(all
+        .filter((entry) => entry.username === username)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+    } catch (err) {
+      console.error('❌ Error reading the outbox:', err);
+    }
+  }, [username]);
+
+  const sync = useCallback(async () => {
+    if (!username || isSyncing.current) return;
+    isSyncing.current = true;
+    try {
+      const due = (await listEntries())
+        .filter((entry) => entry.username === username && entry.status === 'pending' && entry.nextAttemptAt <= Date.now())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const entry of due) {
+        setSyncingId(entry.id);
+        const outcome = await sendEntry(entry, storeUrl('/notion', entry.storeId));
+        if (outcome.sent) {
+          await deleteEntry(entry.id);
+          setSyncedCount((count) => count + 1);
+          continue;
+        }
+
+        const attempts = entry.attempts + 1;
+        await updateEntry(entry.id, {
+          attempts,
+          status: outcome.failed ? 'failed' : 'pending',
+          lastError: outcome.message,
+          fields: outcome.fields || null,
+          nextAttemptAt: Date.now() + RETRY_DELAYS[Math.min(attempts, RETRY_DELAYS.length) - 1] * 1000
+        });
+        // The rest would fail the same way
+        if (outcome.retry) break;
+      }
+    } catch (err) {
+      console.error('❌ Error syncing the outbox:', err);
+    } finally {
+      isSyncing.current = false;
+      setSyncingId(null);
+      await reload();
+    }
+  }, [username, storeUrl, reload]);
+
+  useEffect(() => {
+    reload();
+    sync();
+    const timer = setInterval(sync, CHECK_INTERVAL);
+    window.addEventListener('online', sync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', sync);
+    };
+  }, [reload, sync]);
+
+  // Queues a sale the form couldn't send. `id` is the Idempotency-Key the
+  // first attempt used.
+  const enqueue = useCallback(async ({ id, storeId, body, sale, lastError }) => {
+    await putEntry({
+      id,
+      username,
+      storeId,
+      body,
+      sale,
+      status: 'pending',
+      attempts: 1,
+      lastError,
+      fields: null,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now() + RETRY_DELAYS[0] * 1000
+    });
+    await reload();
+  }, [username, reload]);
+
+  const retry = useCallback(async (id) => {
+    await updateEntry(id, { status: 'pending', nextAttemptAt: 0 });
+    await sync();
+  }, [sync]);
+
+  const discard = useCallback(async (id) => {
+    await deleteEntry(id);
+    await reload();
+  }, [reload]);
+
+  const value = useMemo(
+    () => ({ entries, syncingId, syncedCount, enqueue, retry, discard }),
+    [entries, syncingId, syncedCount, enqueue, retry, discard]
+  );
+
+  return <OutboxContext.Provider value={value}>{children}</OutboxContext.Provider>;
+};
+
+export default OutboxProvider;
@@ -0,0 +1,83 @@
+// The outbox's IndexedDB storage: sales that couldn't be sent yet, kept
+// across reloads and browser restarts.
+//
+//   { id, username, storeId, body, sale, status: 'pending' | 'failed',
+//     attempts, lastError, fields, createdAt, nextAttemptAt }
+//
+// `id` doubles as the request's Idempotency-Key, `body` is what gets
+// POSTed and `sale` the validated sale, for display.
+
+const DB_NAME = 'salesOutbox';
+const STORE_NAME = 'sales';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot keep sales offline'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call try again
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `work(store)` in one transaction and resolves with what it returns
+// once the transaction has committed
+async function transact(mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    Promise.resolve(work(transaction.objectStore(STORE_NAME))).then((value) => {
+      result = value;
+    }, (error) => {
+      transaction.abort();
+      reject(error);
+    });
+  });
+}
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function listEntries() {
+  return transact('readonly', (store) => settle(store.getAll()));
+}
+
+export function putEntry(entry) {
+  return transact('readwrite', (store) => settle(store.put(entry)));
+}
+
+// Merges `changes` into the entry, unless it is gone already (another tab
+// may have sent it). Resolves with the updated entry or null.
+export function updateEntry(id, changes) {
+  return transact('readwrite', async (store) => {
+    const entry = await settle(store.get(id));
+    if (!entry) return null;
+    const updated = { ...entry, ...changes };
+    await settle(store.put(updated));
+    return updated;
+  });
+}
+
+export function deleteEntry(id) {
+  return transact('readwrite', (store) => settle(store.delete(id)));
+}
@@ -0,0 +1,16 @@
+// Which failed attempts to send a sale are worth repeating without asking
+// anyone. Shared by the sale form and the outbox.
+
+// The server gave up on a create that Notion may have saved anyway (see
+// NotionOutcomeUnknownError); sending it again could record it twice
+export const OUTCOME_UNKNOWN = 'outcome_unknown';
+
+// Problems that may go away by themselves: no login, rate limits, the
+// server or Notion being down, the same sale still being processed. A
+// store whose settings don't match its database stays broken until an
+// admin fixes it.
+export function isTransient(res, code) {
+  if (code === OUTCOME_UNKNOWN || code === 'store_misconfigured') return false;
+  return res.status === 401 || res.status === 429 || res.status >= 500
+    || (res.status === 409 && res.headers.has('Retry-After'));
+}
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const OutboxContext = createContext(null);
+
+// { entries, syncingId, syncedCount, enqueue(entry), retry(id), discard(id) }
+// from the nearest OutboxProvider. `entries` are the logged-in user's
+// unsent sales, oldest first; `syncedCount` goes up each time one of them
+// reaches the server.
+export function useOutbox() {
+  return useContext(OutboxContext);
+}
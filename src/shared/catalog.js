@@ -0,0 +1,134 @@
+// The product catalog, shared by the server (grouping, canonical names on
+// write, validation) and the dashboard (autocomplete, chart colors).
+//
+//   [{ name, aliases: [...], color: '#RRGGBB', price }]
+//
+// `name` is the canonical product name; a sale naming the product, or one
+// of its aliases, with any case, accents or spacing counts towards it.
+// `price` (optional) prefills the unit price in the sale form. Products
+// not in the catalog are grouped by their normalized name and get a color
+// from PRODUCT_COLORS picked by that name, so colors don't move around
+// between refreshes.
+
+import { describeItems } from './lineItems.js';
+import { normalizeName } from './text.js';
+
+export const PRODUCT_COLORS = [
+  '#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899',
+  '#14B8A6', '#F97316', '#6366F1', '#84CC16', '#06B6D4', '#A855F7'
+];
+
+export const MAX_CATALOG_ENTRIES = 500;
+const MAX_NAME_LENGTH = 100;
+const MAX_ALIASES = 20;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const PRICE_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+// Case, accents and extra whitespace don't matter
+export const productKey = (name) => normalizeName(name || '');
+
+function hashColor(key) {
+  let hash = 0;
+  for (const char of key) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return PRODUCT_COLORS[hash % PRODUCT_COLORS.length];
+}
+
+// Looks product names up in `catalog`. resolve(name) returns
+// { name, color, price, inCatalog }, with the catalog's spelling for known
+// products and the name as given otherwise.
+export function createCatalogIndex(catalog = []) {
+  const byKey = new Map();
+  catalog.forEach((entry) => {
+    [entry.name, ...(entry.aliases || [])].forEach((name) => byKey.set(productKey(name), entry));
+  });
+
+  return {
+    resolve(name) {
+      const key = productKey(name);
+      const entry = byKey.get(key);
+      if (entry) {
+        return { name: entry.name, color: entry.color || hashColor(productKey(entry.name)), price: entry.price ?? null, inCatalog: true };
+      }
+      return { name: (name || '').trim(), color: hashColor(key), price: null, inCatalog: false };
+    },
+
+    // Groups sales by catalog entry; unknown products by normalized name
+    groupKey(name) {
+      const entry = byKey.get(productKey(name));
+      return entry ? `catalog:${productKey(entry.name)}` : `name:${productKey(name)}`;
+    }
+  };
+}
+
+// A validated sale (see saleSchema.js) with its product names spelled the
+// way the catalog spells them, so new sales group and filter cleanly
+export function applyCatalog(sale, index) {
+  if (sale.items?.length) {
+    const items = sale.items.map((item) => ({ ...item, productName: index.resolve(item.productName).name }));
+    return { ...sale, items, productName: describeItems(items).slice(0, MAX_NAME_LENGTH) };
+  }
+  if (sale.productName) {
+    return { ...sale, productName: index.resolve(sale.productName).name };
+  }
+  return sale;
+}
+
+// Cleans up an edited catalog. Returns { value, error } with `error` null
+// when it can be saved. Entries without a color get the next unused one.
+export function validateCatalog(list) {
+  if (!Array.isArray(list)) {
+    return { value: null, error: 'The catalog must be a list' };
+  }
+  if (list.length > MAX_CATALOG_ENTRIES) {
+    return { value: null, error: `The catalog can have at most ${MAX_CATALOG_ENTRIES} products` };
+  }
+
+  const value = [];
+  const seen = new Map();
+  for (const [index, entry] of list.entries()) {
+    const line = `Product ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      return { value: null, error: `${line} must be an object` };
+    }
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { value: null, error: `${line} needs a name of 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    const aliases = Array.isArray(entry.aliases)
+      ? entry.aliases.map((alias) => (typeof alias === 'string' ? alias.trim() : '')).filter(Boolean)
+      : [];
+    if (aliases.length > MAX_ALIASES || aliases.some((alias) => alias.length > MAX_NAME_LENGTH)) {
+      return { value: null, error: `${name} can have at most ${MAX_ALIASES} aliases of up to ${MAX_NAME_LENGTH} characters` };
+    }
+    for (const spelling of [name, ...aliases]) {
+      const key = productKey(spelling);
+      if (seen.has(key) && seen.get(key) !== index) {
+        return { value: null, error: `"${spelling}" is used by both ${value[seen.get(key)]?.name || name} and ${name}` };
+      }
+      seen.set(key, index);
+    }
+    if (entry.color && !COLOR_PATTERN.test(entry.color)) {
+      return { value: null, error: `${name}'s color must look like #3B82F6` };
+    }
+    let price = null;
+    if (entry.price !== undefined && entry.price !== null && entry.price !== '') {
+      if (!PRICE_PATTERN.test(String(entry.price).trim())) {
+        return { value: null, error: `${name}'s price must be a number with at most 2 decimal places` };
+      }
+      price = Number(entry.price);
+    }
+    value.push({ name, aliases: Array.from(new Set(aliases)), color: entry.color ? entry.color.toUpperCase() : null, price });
+  }
+
+  const used = new Set(value.map((entry) => entry.color).filter(Boolean));
+  value.forEach((entry, index) => {
+    if (!entry.color) {
+      entry.color = PRODUCT_COLORS.find((color) => !used.has(color)) || PRODUCT_COLORS[index % PRODUCT_COLORS.length];
+      used.add(entry.color);
+    }
+  });
+
+  return { value, error: null };
+}
@@ -0,0 +1,38 @@
+// Customer identity, shared by the server aggregation and the dashboard's
+// optimistic updates.
+//
+// A customer is identified by their contact (phone number or email) when
+// the sale has one, otherwise by their name with case, accents and extra
+// whitespace ignored, so "Juan  Dela Cruz" and "juan dela cruz" are the
+// same person.
+
+import { isCancelled } from './orderStatus.js';
+import { normalizeName } from './text.js';
+
+function normalizeContact(contact) {
+  const trimmed = contact.trim().toLowerCase();
+  // Phone numbers: ignore spaces, dashes, dots and parentheses
+  return trimmed.includes('@') ? trimmed : trimmed.replace(/[\s\-.()]/g, '');
+}
+
+export function customerKey({ customerName, customerContact }) {
+  if (customerContact && customerContact.trim()) {
+    return `contact:${normalizeContact(customerContact)}`;
+  }
+  return `name:${normalizeName(customerName)}`;
+}
+
+// Maps each customer key to the date of their first purchase. Cancelled
+// orders are not purchases.
+export function firstPurchaseDates(sales) {
+  const firstPurchases = {};
+  sales.forEach((sale) => {
+    if (!sale.date || isCancelled(sale)) return;
+    const key = customerKey(sale);
+    const date = sale.date.slice(0, 10);
+    if (!firstPurchases[key] || date < firstPurchases[key]) {
+      firstPurchases[key] = date;
+    }
+  });
+  return firstPurchases;
+}
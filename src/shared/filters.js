@@ -0,0 +1,62 @@
+// Dashboard filters, shared by the server (query parsing, the JSON backend)
+// and the dashboard (optimistic updates). Every field is optional; `from`
+// and `to` are inclusive YYYY-MM-DD dates. `product` matches a sale with
+// that product on any of its line items.
+
+import { hasProduct } from './lineItems.js';
+import { MAX_YEAR, MIN_YEAR } from './saleSchema.js';
+
+export const FILTER_FIELDS = ['from', 'to', 'product', 'paymentMethod', 'customer'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Picks the filter fields out of a query object, dropping empty ones.
+// Returns { filters, errors } where errors maps field names to messages.
+export function parseFilters(query = {}) {
+  const filters = {};
+  const errors = {};
+
+  FILTER_FIELDS.forEach((field) => {
+    const value = typeof query[field] === 'string' ? query[field].trim() : '';
+    if (value) filters[field] = value;
+  });
+
+  ['from', 'to'].forEach((field) => {
+    if (!filters[field]) return;
+    if (!DATE_PATTERN.test(filters[field])) {
+      errors[field] = `${field} must be a date in YYYY-MM-DD format`;
+      return;
+    }
+    const year = Number(filters[field].slice(0, 4));
+    if (year < MIN_YEAR || year > MAX_YEAR) {
+      errors[field] = `${field} must be between ${MIN_YEAR} and ${MAX_YEAR}`;
+    }
+  });
+  if (filters.from && filters.to && !errors.from && !errors.to && filters.from > filters.to) {
+    errors.to = 'to must not be before from';
+  }
+
+  return { filters, errors };
+}
+
+export function hasFilters(filters) {
+  return FILTER_FIELDS.some((field) => filters[field]);
+}
+
+export function matchesFilters(sale, filters) {
+  const date = sale.date ? sale.date.slice(0, 10) : null;
+  if (filters.from && (!date || date < filters.from)) return false;
+  if (filters.to && (!date || date > filters.to)) return false;
+  if (filters.product && !hasProduct(sale, filters.product)) return false;
+  if (filters.paymentMethod && sale.paymentMethod !== filters.paymentMethod) return false;
+  if (filters.customer && sale.customerName !== filters.customer) return false;
+  return true;
+}
+
+export function toQueryString(params) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.set(key, value);
+  });
+  return search.toString();
+}
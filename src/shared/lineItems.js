@@ -0,0 +1,78 @@
+// Line items, shared by the server (validation, aggregation, storage) and
+// the dashboard (the sale form and optimistic updates).
+//
+// A sale can list what was bought:
+//
+//   items: [{ productName, quantity, unitPrice, discount }]
+//
+// in which case its `amount` is the sum of the line totals and its
+// `productName` names the products bought, so reports, filters and exports
+// that only know the two flat fields keep working. Sales recorded before
+// line items (or imported from a spreadsheet) have no `items` and count as
+// a single unit of `productName` at `amount`.
+
+import { normalizeName } from './text.js';
+import { netAmount } from './orderStatus.js';
+
+export const MAX_LINE_ITEMS = 50;
+
+export function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function lineTotal({ quantity, unitPrice, discount = 0 }) {
+  return roundMoney(quantity * unitPrice - (discount || 0));
+}
+
+export function itemsTotal(items) {
+  return roundMoney(items.reduce((sum, item) => sum + lineTotal(item), 0));
+}
+
+// The distinct product names, in the order they were entered
+export function describeItems(items) {
+  return Array.from(new Set(items.map((item) => item.productName))).join(', ');
+}
+
+export function saleItems(sale) {
+  if (Array.isArray(sale.items) && sale.items.length > 0) {
+    return sale.items;
+  }
+  return [{ productName: sale.productName, quantity: 1, unitPrice: sale.amount, discount: 0 }];
+}
+
+// Revenue and units per product for one sale; a product listed on two
+// lines is counted once. A refund is spread over the lines in proportion
+// to their totals.
+export function productTotals(sale) {
+  const totals = new Map();
+  const share = sale.amount > 0 ? netAmount(sale) / sale.amount : 0;
+  saleItems(sale).forEach((item) => {
+    const entry = totals.get(item.productName) || { name: item.productName, revenue: 0, units: 0 };
+    totals.set(item.productName, {
+      ...entry,
+      revenue: roundMoney(entry.revenue + lineTotal(item) * share),
+      units: entry.units + item.quantity
+    });
+  });
+  return Array.from(totals.values());
+}
+
+// Whether two sales list the same products, quantities, prices and
+// discounts, in the same order. A sale without items matches the single
+// line it counts as.
+export function sameItems(a, b) {
+  const left = saleItems(a);
+  const right = saleItems(b);
+  return left.length === right.length && left.every((item, index) => (
+    normalizeName(item.productName || '') === normalizeName(right[index].productName || '')
+    && item.quantity === right[index].quantity
+    && item.unitPrice === right[index].unitPrice
+    && (item.discount || 0) === (right[index].discount || 0)
+  ));
+}
+
+// Case, accents and extra whitespace ignored, like the catalog's lookups
+export function hasProduct(sale, productName) {
+  const wanted = normalizeName(productName);
+  return saleItems(sale).some((item) => normalizeName(item.productName || '') === wanted);
+}
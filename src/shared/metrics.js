@@ -0,0 +1,31 @@
+// Metric card math shared by the server and the dashboard.
+
+// `customers` is left out on purpose: a customer who buys in two periods
+// is unique in each, so per-period counts can't be added up.
+export function sumBuckets(buckets) {
+  return buckets.reduce((totals, bucket) => ({
+    revenue: totals.revenue + bucket.revenue,
+    orders: totals.orders + bucket.orders,
+    newCustomers: totals.newCustomers + bucket.newCustomers
+  }), { revenue: 0, orders: 0, newCustomers: 0 });
+}
+
+export function averageOrderValue({ revenue, orders }) {
+  return orders > 0 ? revenue / orders : 0;
+}
+
+// Percentage change from `previous` to `current`. Returns null when there
+// is nothing to compare against (previous is zero but current isn't).
+export function percentChange(current, previous) {
+  if (previous === 0) return current === 0 ? 0 : null;
+  return ((current - previous) / Math.abs(previous)) * 100;
+}
+
+export function formatChange(change) {
+  if (change === null) return { text: 'New', positive: true };
+  const rounded = Math.round(change * 10) / 10;
+  return {
+    text: `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}%`,
+    positive: rounded >= 0
+  };
+}
@@ -0,0 +1,99 @@
+// Order status, shared by the server (validation, aggregation) and the
+// dashboard (the status menu and optimistic updates).
+//
+// A sale starts out pending (ordered, not yet paid or handed over) or
+// completed. Pending orders are completed or cancelled; completed ones can
+// be refunded, in full or in part (`refundedAmount`). Cancelled and
+// refunded are final. Sales saved before statuses existed are completed.
+//
+// Revenue leaves out cancelled orders and nets out refunds; a refunded
+// order still counts as an order.
+
+export const ORDER_STATUSES = ['pending', 'completed', 'refunded', 'cancelled'];
+
+export const DEFAULT_STATUS = 'completed';
+
+// What a new sale may start as
+export const INITIAL_STATUSES = ['pending', 'completed'];
+
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  completed: 'Completed',
+  refunded: 'Refunded',
+  cancelled: 'Cancelled'
+};
+
+export const STATUS_TRANSITIONS = {
+  pending: ['completed', 'cancelled'],
+  completed: ['refunded'],
+  refunded: [],
+  cancelled: []
+};
+
+// Storage backends may hand back anything (a Notion status column, older
+// rows); unknown values count as completed.
+export function statusOf(sale) {
+  const status = typeof sale.status === 'string' ? sale.status.trim().toLowerCase() : '';
+  return ORDER_STATUSES.includes(status) ? status : DEFAULT_STATUS;
+}
+
+export function isCancelled(sale) {
+  return statusOf(sale) === 'cancelled';
+}
+
+// What the sale brings in after refunds; nothing when cancelled
+export function netAmount(sale) {
+  switch (statusOf(sale)) {
+    case 'cancelled':
+      return 0;
+    case 'refunded':
+      return Math.max(0, Math.round((sale.amount - (sale.refundedAmount || 0)) * 100) / 100);
+    default:
+      return sale.amount;
+  }
+}
+
+export function nextStatuses(sale) {
+  return STATUS_TRANSITIONS[statusOf(sale)];
+}
+
+// Refunded and cancelled orders are settled: their amount and line items
+// can no longer change
+export function isFinal(sale) {
+  return nextStatuses(sale).length === 0;
+}
+
+// Checks moving `sale` to `status`. `refundedAmount` is required for a
+// refund and may not be more than the sale's amount. Returns
+// { value, errors } like validate() in saleSchema.js, with `value` the
+// fields to save.
+export function validateStatusChange(sale, { status, refundedAmount } = {}) {
+  const errors = {};
+  const current = statusOf(sale);
+
+  if (!ORDER_STATUSES.includes(status)) {
+    errors.status = `Status must be one of: ${ORDER_STATUSES.join(', ')}`;
+    return { value: {}, errors };
+  }
+  if (!STATUS_TRANSITIONS[current].includes(status)) {
+    errors.status = STATUS_TRANSITIONS[current].length > 0
+      ? `A ${current} order can only become ${STATUS_TRANSITIONS[current].join(' or ')}`
+      : `A ${current} order can't be changed`;
+    return { value: {}, errors };
+  }
+
+  if (status !== 'refunded') {
+    if (refundedAmount !== undefined) errors.refundedAmount = 'Refunded amount is only for refunds';
+    return { value: { status }, errors };
+  }
+
+  const amount = typeof refundedAmount === 'string' ? Number(refundedAmount.trim()) : refundedAmount;
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || !/^\d+(\.\d{1,2})?$/.test(String(amount))) {
+    errors.refundedAmount = 'Refunded amount must be a number with at most 2 decimal places';
+  } else if (amount <= 0) {
+    errors.refundedAmount = 'Refunded amount must be more than 0';
+  } else if (amount > sale.amount) {
+    errors.refundedAmount = `Refunded amount can't be more than the sale's ${sale.amount}`;
+  }
+  return { value: { status, refundedAmount: amount }, errors };
+}
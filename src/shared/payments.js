@@ -0,0 +1,86 @@
+// Revenue and orders per payment method, overall (`methods`, largest
+// revenue first) and per day (`daily`, newest first), for the dashboard's
+// payment breakdown and the table used to reconcile cash against the
+// e-wallets. Shared so the dashboard can apply a new sale the same way the
+// server builds the summary. Cancelled orders are left out and refunds
+// netted out (see orderStatus.js).
+//
+//   { methods: [{ name, revenue, orders }],
+//     daily: [{ date, revenue, orders, byMethod: { [name]: { revenue, orders } } }] }
+
+import { isCancelled, netAmount } from './orderStatus.js';
+
+// Only the most recent days with sales are kept in `daily`
+export const DAILY_DAYS = 31;
+
+export function emptyPayments() {
+  return { methods: [], daily: [] };
+}
+
+function addTo(totals = { revenue: 0, orders: 0 }, amount) {
+  return { ...totals, revenue: totals.revenue + amount, orders: totals.orders + 1 };
+}
+
+// Returns a new summary with `sale` counted; `payments` is left untouched.
+export function addSaleToPayments(payments, sale) {
+  if (isCancelled(sale)) return payments;
+  const { date, paymentMethod } = sale;
+  const amount = netAmount(sale);
+  const method = payments.methods.find((entry) => entry.name === paymentMethod);
+  const methods = (method
+    ? payments.methods.map((entry) => (entry === method ? addTo(entry, amount) : entry))
+    : [...payments.methods, addTo({ name: paymentMethod, revenue: 0, orders: 0 }, amount)]
+  ).sort((a, b) => b.revenue - a.revenue);
+
+  let { daily } = payments;
+  const day = date ? date.slice(0, 10) : null;
+  if (day) {
+    const addToDay = (row) => ({
+      ...addTo(row, amount),
+      byMethod: { ...row.byMethod, [paymentMethod]: addTo(row.byMethod[paymentMethod], amount) }
+    });
+    daily = daily.some((row) => row.date === day)
+      ? daily.map((row) => (row.date === day ? addToDay(row) : row))
+      : [...daily, addToDay({ date: day, revenue: 0, orders: 0, byMethod: {} })]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, DAILY_DAYS);
+  }
+
+  return { methods, daily };
+}
+
+export function summarizePayments(sales) {
+  return sales.reduce(addSaleToPayments, emptyPayments());
+}
+
+export const MAX_PAYMENT_METHODS = 30;
+const MAX_METHOD_LENGTH = 50;
+
+// Cleans up an edited list of payment methods. Returns { value, error }
+// with `error` null when the list can be saved.
+export function validatePaymentMethods(list) {
+  if (!Array.isArray(list)) {
+    return { value: null, error: 'Payment methods must be a list' };
+  }
+  const value = list.map((method) => (typeof method === 'string' ? method.trim() : ''));
+  if (value.length === 0) {
+    return { value, error: 'Add at least one payment method' };
+  }
+  if (value.length > MAX_PAYMENT_METHODS) {
+    return { value, error: `At most ${MAX_PAYMENT_METHODS} payment methods are allowed` };
+  }
+  if (value.some((method) => !method || method.length > MAX_METHOD_LENGTH)) {
+    return { value, error: `Payment methods must be 1 to ${MAX_METHOD_LENGTH} characters` };
+  }
+  const seen = new Set();
+  const duplicate = value.find((method) => {
+    const key = method.toLowerCase();
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+  if (duplicate) {
+    return { value, error: `"${duplicate}" is listed twice` };
+  }
+  return { value, error: null };
+}
@@ -0,0 +1,290 @@
+import { customerKey } from './customers.js';
+import { isCancelled, netAmount } from './orderStatus.js';
+
+// Period arithmetic shared by the server aggregation and the dashboard's
+// optimistic updates, so both put a sale in the same bucket.
+//
+// A period is identified by the YYYY-MM-DD date it starts on. Weeks are ISO
+// weeks and start on Monday. All math is done in UTC so the server's time
+// zone never shifts a sale into a neighbouring bucket.
+
+export const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+
+export const GRANULARITY_LABELS = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+  quarter: 'Quarterly',
+  year: 'Yearly'
+};
+
+// A trend longer than this is refused: ten years of days, which is also far
+// more points than a chart can show
+export const MAX_SERIES_LENGTH = 3660;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(date) {
+  const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ISO 8601: the week belongs to the year its Thursday falls in.
+function isoWeek(date) {
+  const thursday = new Date(date.getTime() + (3 - ((date.getUTCDay() + 6) % 7)) * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return {
+    year: thursday.getUTCFullYear(),
+    week: Math.floor((thursday.getTime() - yearStart) / DAY_MS / 7) + 1
+  };
+}
+
+export function isGranularity(value) {
+  return GRANULARITIES.includes(value);
+}
+
+export function toPeriodStart(date, granularity) {
+  const d = parseDate(date);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  switch (granularity) {
+    case 'day':
+      return formatDate(d);
+    case 'week':
+      return formatDate(new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS));
+    case 'month':
+      return formatDate(new Date(Date.UTC(year, month, 1)));
+    case 'quarter':
+      return formatDate(new Date(Date.UTC(year, month - (month % 3), 1)));
+    case 'year':
+      return formatDate(new Date(Date.UTC(year, 0, 1)));
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+export function nextPeriodStart(start, granularity) {
+  const d = parseDate(start);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  switch (granularity) {
+    case 'day':
+      return formatDate(new Date(d.getTime() + DAY_MS));
+    case 'week':
+      return formatDate(new Date(d.getTime() + 7 * DAY_MS));
+    case 'month':
+      return formatDate(new Date(Date.UTC(year, month + 1, 1)));
+    case 'quarter':
+      return formatDate(new Date(Date.UTC(year, month + 3, 1)));
+    case 'year':
+      return formatDate(new Date(Date.UTC(year + 1, 0, 1)));
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+export function periodLabel(start, granularity) {
+  const d = parseDate(start);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  switch (granularity) {
+    case 'day':
+      return `${MONTHS[month]} ${d.getUTCDate()}, ${year}`;
+    case 'week': {
+      const { year: weekYear, week } = isoWeek(d);
+      return `${weekYear}-W${String(week).padStart(2, '0')}`;
+    }
+    case 'month':
+      return `${MONTHS[month]} ${year}`;
+    case 'quarter':
+      return `Q${Math.floor(month / 3) + 1} ${year}`;
+    case 'year':
+      return String(year);
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+// `customers` counts unique customers in the period, `newCustomers` the
+// ones whose first purchase ever falls in it.
+export function createBucket(key, granularity) {
+  return {
+    key,
+    name: periodLabel(key, granularity),
+    revenue: 0,
+    orders: 0,
+    customers: 0,
+    newCustomers: 0
+  };
+}
+
+// Adds one sale to a bucket in place. `firstPurchases` maps customer keys
+// to first purchase dates (see firstPurchaseDates in customers.js) and
+// `counted` is the Set of customer keys already counted in this bucket, so
+// a later sale by the same customer isn't counted twice. Cancelled orders
+// don't count and refunds are netted out.
+export function addSaleToBucket(bucket, sale, { granularity, firstPurchases, counted }) {
+  if (isCancelled(sale)) return;
+  const key = customerKey(sale);
+  bucket.revenue += netAmount(sale);
+  bucket.orders += 1;
+
+  if (!counted.has(key)) {
+    counted.add(key);
+    bucket.customers += 1;
+    const firstPurchase = firstPurchases[key];
+    if (!firstPurchase || toPeriodStart(firstPurchase, granularity) === bucket.key) {
+      bucket.newCustomers += 1;
+    }
+  }
+}
+
+// How many periods of `granularity` from the one containing `from` to the
+// one containing `to`, both included
+export function countPeriods(from, to, granularity) {
+  const start = parseDate(toPeriodStart(from, granularity));
+  const end = parseDate(toPeriodStart(to, granularity));
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+
+  switch (granularity) {
+    case 'day':
+      return Math.round((end.getTime() - start.getTime()) / DAY_MS) + 1;
+    case 'week':
+      return Math.round((end.getTime() - start.getTime()) / DAY_MS / 7) + 1;
+    case 'month':
+      return months + 1;
+    case 'quarter':
+      return months / 3 + 1;
+    case 'year':
+      return end.getUTCFullYear() - start.getUTCFullYear() + 1;
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+// The first and last period `fillSeries` would cover, or null when there
+// is nothing to show
+function seriesBounds(buckets, granularity, { from, to } = {}) {
+  const keys = buckets.map((bucket) => bucket.key);
+  if (from) keys.push(toPeriodStart(from, granularity));
+  if (to) keys.push(toPeriodStart(to, granularity));
+  if (keys.length === 0) return null;
+  keys.sort();
+  return { first: keys[0], last: keys[keys.length - 1] };
+}
+
+// Number of points `fillSeries` would return; check it against
+// MAX_SERIES_LENGTH before filling
+export function seriesLength(buckets, granularity, range) {
+  const bounds = seriesBounds(buckets, granularity, range);
+  return bounds ? countPeriods(bounds.first, bounds.last, granularity) : 0;
+}
+
+// Returns the buckets in chronological order with every missing period
+// between the first and last one filled in with zeros. When a `from`/`to`
+// range is given the series is stretched to cover all of it. Throws past
+// MAX_SERIES_LENGTH points.
+export function fillSeries(buckets, granularity, range) {
+  const bounds = seriesBounds(buckets, granularity, range);
+  if (!bounds) return [];
+  const length = countPeriods(bounds.first, bounds.last, granularity);
+  if (length > MAX_SERIES_LENGTH) {
+    throw new Error(`A ${granularity} trend from ${bounds.first} to ${bounds.last} has ${length} points, more than ${MAX_SERIES_LENGTH}`);
+  }
+
+  const byKey = new Map(buckets.map((bucket) => [bucket.key, bucket]));
+  const series = [];
+  for (let key = bounds.first; key <= bounds.last; key = nextPeriodStart(key, granularity)) {
+    series.push(byKey.get(key) || createBucket(key, granularity));
+  }
+
+  return series;
+}
+
+export function previousPeriodStart(start, granularity) {
+  const d = parseDate(start);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  switch (granularity) {
+    case 'day':
+      return formatDate(new Date(d.getTime() - DAY_MS));
+    case 'week':
+      return formatDate(new Date(d.getTime() - 7 * DAY_MS));
+    case 'month':
+      return formatDate(new Date(Date.UTC(year, month - 1, 1)));
+    case 'quarter':
+      return formatDate(new Date(Date.UTC(year, month - 3, 1)));
+    case 'year':
+      return formatDate(new Date(Date.UTC(year - 1, 0, 1)));
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+// Last day (inclusive) of the period starting on `start`.
+export function periodEnd(start, granularity) {
+  return formatDate(new Date(parseDate(nextPeriodStart(start, granularity)).getTime() - DAY_MS));
+}
+
+const MONTHS_PER_PERIOD = { month: 1, quarter: 3, year: 12 };
+
+// `date` one period earlier: by days for days and weeks, by calendar
+// months otherwise, landing on the month's last day when it is shorter
+// (March 31 becomes February 28 or 29, 2024-02-29 a year back 2023-02-28).
+function oneBack(date, granularity) {
+  const d = parseDate(date);
+  const months = MONTHS_PER_PERIOD[granularity];
+  if (!months) {
+    return formatDate(new Date(d.getTime() - (granularity === 'week' ? 7 : 1) * DAY_MS));
+  }
+  const monthStart = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - months, 1));
+  const lastDay = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 0)).getUTCDate();
+  return formatDate(new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth(), Math.min(d.getUTCDate(), lastDay))));
+}
+
+// The part of the period containing `date` up to and including it, and the
+// same stretch of the period before, so a period still in progress is
+// compared like for like. `since` (optional) starts both later into their
+// periods.
+export function periodToDate(date, granularity, since) {
+  const day = date.slice(0, 10);
+  const start = toPeriodStart(day, granularity);
+  const from = since && since > start ? since : start;
+
+  return {
+    current: { from, to: day },
+    previous: { from: oneBack(from, granularity), to: oneBack(day, granularity) }
+  };
+}
+
+// The range right before `from`/`to`, used to compare a filtered range
+// against the one preceding it. Ranges made of whole calendar months (a
+// month, a quarter, a year) shift back by the same number of months so
+// Q2 compares with Q1; any other range shifts back by its length in days.
+export function previousRange(from, to) {
+  const start = parseDate(from);
+  const end = parseDate(to);
+
+  if (from === toPeriodStart(from, 'month') && to === periodEnd(toPeriodStart(to, 'month'), 'month')) {
+    const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1;
+    return {
+      from: formatDate(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - months, 1))),
+      to: formatDate(new Date(start.getTime() - DAY_MS))
+    };
+  }
+
+  const days = Math.round((end.getTime() - start.getTime()) / DAY_MS) + 1;
+  return {
+    from: formatDate(new Date(start.getTime() - days * DAY_MS)),
+    to: formatDate(new Date(start.getTime() - DAY_MS))
+  };
+}
@@ -0,0 +1,33 @@
+// Roles and what each may do, shared by the server (route guards) and the
+// dashboard (which screens and buttons to show).
+//
+//   owner   - everything, including the admin/debug endpoints
+//   cashier - record new sales only
+//   viewer  - read-only dashboard, reports and exports
+
+export const ROLES = ['owner', 'cashier', 'viewer'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  cashier: 'Cashier',
+  viewer: 'Viewer'
+};
+
+const PERMISSIONS = {
+  owner: ['sales:read', 'sales:create', 'sales:update', 'sales:delete', 'sales:import', 'reports:read', 'admin'],
+  cashier: ['sales:create'],
+  viewer: ['sales:read', 'reports:read']
+};
+
+export function isRole(value) {
+  return ROLES.includes(value);
+}
+
+export function can(role, permission) {
+  return Boolean(PERMISSIONS[role]?.includes(permission));
+}
+
+// Where a role lands after logging in
+export function homePath(role) {
+  return can(role, 'sales:read') ? '/' : '/add-product';
+}
@@ -0,0 +1,196 @@
+// The shape of a sale as accepted by POST/PATCH /proxy/notion. The server
+// validates every request against it and AddForm runs the same checks
+// before submitting, so both report the same per-field messages.
+
+import { MAX_LINE_ITEMS, describeItems, itemsTotal } from './lineItems.js';
+import { INITIAL_STATUSES } from './orderStatus.js';
+
+export const PAYMENT_METHODS = ['Cash', 'GCash', 'SeaBank', 'PayMaya'];
+
+export const saleSchema = {
+  amount: { type: 'money', label: 'Amount', required: true, min: 0.01, max: 10000000 },
+  customerName: { type: 'string', label: 'Customer name', required: true, maxLength: 100 },
+  customerContact: { type: 'string', label: 'Customer contact', required: false, maxLength: 100 },
+  productName: { type: 'string', label: 'Product name', required: true, maxLength: 100 },
+  date: { type: 'date', label: 'Date', required: true },
+  paymentMethod: { type: 'enum', label: 'Payment method', required: true, values: PAYMENT_METHODS },
+  items: { type: 'items', label: 'Line items', required: false, maxItems: MAX_LINE_ITEMS },
+  // Later changes go through validateStatusChange in orderStatus.js
+  status: { type: 'enum', label: 'Status', required: false, values: INITIAL_STATUSES }
+};
+
+// One entry of `items`, see src/shared/lineItems.js
+export const lineItemSchema = {
+  productName: { type: 'string', label: 'Product name', required: true, maxLength: 100 },
+  quantity: { type: 'integer', label: 'Quantity', required: true, min: 1, max: 10000 },
+  unitPrice: { type: 'money', label: 'Unit price', required: true, min: 0, max: 10000000 },
+  discount: { type: 'money', label: 'Discount', required: false, min: 0, max: 10000000 }
+};
+
+const MONEY_PATTERN = /^\d+(\.\d{1,2})?$/;
+const INTEGER_PATTERN = /^\d+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Every date the app stores or filters on falls in these years; a typo like
+// 0100-01-01 would otherwise stretch the trend over centuries of empty days
+export const MIN_YEAR = 2000;
+export const MAX_YEAR = 2100;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Returns [value, error] for one field. `value` is the cleaned-up value to
+// store (numbers parsed, strings trimmed).
+function checkField(field, rule, raw, options) {
+  switch (rule.type) {
+    case 'money': {
+      const text = typeof raw === 'number' ? String(raw) : String(raw).trim();
+      if (!MONEY_PATTERN.test(text)) {
+        return [null, `${rule.label} must be a number with at most 2 decimal places`];
+      }
+      const amount = Number(text);
+      if (amount < rule.min) return [null, `${rule.label} must be at least ${rule.min}`];
+      if (amount > rule.max) return [null, `${rule.label} must be at most ${rule.max.toLocaleString('en-PH')}`];
+      return [amount, null];
+    }
+    case 'integer': {
+      const text = typeof raw === 'number' ? String(raw) : String(raw).trim();
+      if (!INTEGER_PATTERN.test(text)) return [null, `${rule.label} must be a whole number`];
+      const number = Number(text);
+      if (number < rule.min) return [null, `${rule.label} must be at least ${rule.min}`];
+      if (number > rule.max) return [null, `${rule.label} must be at most ${rule.max.toLocaleString('en-PH')}`];
+      return [number, null];
+    }
+    case 'string': {
+      if (typeof raw !== 'string') return [null, `${rule.label} must be text`];
+      const text = raw.trim();
+      if (text.length > rule.maxLength) {
+        return [null, `${rule.label} must be at most ${rule.maxLength} characters`];
+      }
+      return [text, null];
+    }
+    case 'date': {
+      const match = typeof raw === 'string' && DATE_PATTERN.exec(raw);
+      if (!match) return [null, `${rule.label} must be in YYYY-MM-DD format`];
+      const [, year, month, day] = match.map(Number);
+      const parsed = new Date(Date.UTC(year, month - 1, day));
+      if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+        return [null, `${rule.label} is not a valid date`];
+      }
+      if (year < MIN_YEAR || year > MAX_YEAR) {
+        return [null, `${rule.label} must be between ${MIN_YEAR} and ${MAX_YEAR}`];
+      }
+      return [raw, null];
+    }
+    case 'enum': {
+      const values = options.values?.[field] || rule.values;
+      if (!values.includes(raw)) {
+        return [null, `${rule.label} must be one of: ${values.join(', ')}`];
+      }
+      return [raw, null];
+    }
+    case 'items': {
+      if (!Array.isArray(raw) || raw.length === 0) return [null, `${rule.label} must list at least one product`];
+      if (raw.length > rule.maxItems) return [null, `${rule.label} can have at most ${rule.maxItems} entries`];
+      const items = [];
+      for (const [index, input] of raw.entries()) {
+        const { value: item, errors } = validate(lineItemSchema, input);
+        const [message] = Object.values(errors);
+        if (message) return [null, `Line ${index + 1}: ${message}`];
+        const gross = item.quantity * item.unitPrice;
+        if ((item.discount || 0) > gross) return [null, `Line ${index + 1}: Discount can't be more than the line's price`];
+        items.push({ ...item, discount: item.discount || 0 });
+      }
+      return [items, null];
+    }
+    default:
+      throw new Error(`Unknown schema type "${rule.type}"`);
+  }
+}
+
+// Checks `input` against `schema`. With `partial` (updates) only the fields
+// present are checked, and optional fields may be cleared with an empty
+// string. Unknown fields are rejected. `values` overrides the allowed
+// values of enum fields, e.g. { paymentMethod: [...] }.
+//
+// Returns { value, errors }; `errors` maps field names to messages and is
+// empty when the input is valid.
+export function validate(schema, input, { partial = false, values } = {}) {
+  const value = {};
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: { _: 'Request body must be a JSON object' } };
+  }
+
+  Object.keys(input).forEach((field) => {
+    if (!schema[field]) errors[field] = `Unknown field "${field}"`;
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+    if (partial && raw === undefined) return;
+
+    if (isEmpty(raw)) {
+      if (rule.required) {
+        errors[field] = `${rule.label} is required`;
+      } else if (partial && raw !== undefined) {
+        value[field] = '';
+      }
+      return;
+    }
+
+    const [fieldValue, error] = checkField(field, rule, raw, { values });
+    if (error) {
+      errors[field] = error;
+    } else {
+      value[field] = fieldValue;
+    }
+  });
+
+  if (partial && Object.keys(value).length === 0 && Object.keys(errors).length === 0) {
+    errors._ = 'No fields to update';
+  }
+
+  return { value, errors };
+}
+
+// With `items` the amount and product name are worked out from the lines,
+// so they can't be sent as well. Without `items` the sale is a single
+// product at `amount` (imports and older clients); on an update, setting
+// either of those directly replaces any line items the sale had.
+const itemSaleSchema = {
+  ...saleSchema,
+  amount: { ...saleSchema.amount, required: false },
+  productName: { ...saleSchema.productName, required: false }
+};
+
+export function validateSale(input, options = {}) {
+  const withItems = Boolean(input) && typeof input === 'object' && !isEmpty(input.items);
+  if (!withItems) {
+    const result = validate(saleSchema, input, options);
+    if (options.partial && (result.value.items === '' || result.value.amount !== undefined || result.value.productName !== undefined)) {
+      result.value.items = [];
+    }
+    return result;
+  }
+
+  const { value, errors } = validate(itemSaleSchema, input, options);
+  ['amount', 'productName'].forEach((field) => {
+    if (input[field] !== undefined) {
+      errors[field] = `${saleSchema[field].label} is worked out from the line items`;
+    }
+  });
+  if (value.items) {
+    const amount = itemsTotal(value.items);
+    if (amount < saleSchema.amount.min) {
+      errors.items = `The line items must add up to at least ${saleSchema.amount.min}`;
+    } else if (amount > saleSchema.amount.max) {
+      errors.items = `The line items must add up to at most ${saleSchema.amount.max.toLocaleString('en-PH')}`;
+    }
+    value.amount = amount;
+    value.productName = describeItems(value.items).slice(0, saleSchema.productName.maxLength);
+  }
+  return { value, errors };
+}
@@ -0,0 +1,85 @@
+// Sales targets, shared by the server (validation, storage) and the
+// dashboard (the trend chart's target line and the metric cards' progress).
+//
+//   { id, granularity, period, metric, value, product, paymentMethod }
+//
+// `period` is the YYYY-MM-DD start of the period (see periods.js) and
+// `metric` what is counted: net revenue or orders. A target may be for one
+// product or payment method only; `product` and `paymentMethod` are null
+// for the store as a whole. There is at most one target per scope.
+
+import { productKey } from './catalog.js';
+import { GRANULARITIES, nextPeriodStart, toPeriodStart } from './periods.js';
+import { validate } from './saleSchema.js';
+
+export const TARGET_METRICS = ['revenue', 'orders'];
+export const MAX_TARGETS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const targetSchema = {
+  granularity: { type: 'enum', label: 'Period type', required: true, values: GRANULARITIES },
+  period: { type: 'date', label: 'Period', required: true },
+  metric: { type: 'enum', label: 'Metric', required: true, values: TARGET_METRICS },
+  value: { type: 'money', label: 'Target', required: true, min: 0.01, max: 1000000000 },
+  product: { type: 'string', label: 'Product', required: false, maxLength: 100 },
+  paymentMethod: { type: 'string', label: 'Payment method', required: false, maxLength: 50 }
+};
+
+// Checks a target as sent to POST/PUT /targets. `period` may be any date
+// in the period and is moved to the period's start. Returns
+// { value, errors } like validate() in saleSchema.js.
+export function validateTarget(input) {
+  const { value, errors } = validate(targetSchema, input);
+  if (Object.keys(errors).length > 0) {
+    return { value, errors };
+  }
+  if (value.metric === 'orders' && !Number.isInteger(value.value)) {
+    return { value, errors: { value: 'An orders target must be a whole number' } };
+  }
+  return {
+    value: {
+      ...value,
+      period: toPeriodStart(value.period, value.granularity),
+      product: value.product || null,
+      paymentMethod: value.paymentMethod || null
+    },
+    errors
+  };
+}
+
+// Targets with the same scope key replace each other. Product names are
+// compared like the catalog does.
+export function targetScope({ granularity, period, metric, product, paymentMethod }) {
+  return [granularity, period, metric, productKey(product), (paymentMethod || '').toLowerCase()].join('|');
+}
+
+// The targets that apply to the dashboard as filtered: the same period
+// type, and the same product and payment method filter (none for store-wide
+// targets). Returns { [period]: { revenue, orders } }.
+export function targetsByPeriod(targets, { granularity, product, paymentMethod }) {
+  const wanted = targetScope({ granularity, period: '', metric: '', product, paymentMethod });
+  return targets.reduce((periods, target) => {
+    if (targetScope({ ...target, period: '', metric: '' }) !== wanted) return periods;
+    return { ...periods, [target.period]: { ...periods[target.period], [target.metric]: target.value } };
+  }, {});
+}
+
+// How `actual` compares with `target` for the period starting `period`,
+// on day `today` (YYYY-MM-DD). `projected` assumes the rest of the period
+// goes at the pace so far; once the period is over it is the final figure.
+export function targetProgress({ actual, target, period, granularity, today }) {
+  const start = Date.parse(period);
+  const end = Date.parse(nextPeriodStart(period, granularity));
+  const totalDays = Math.round((end - start) / DAY_MS);
+  const elapsedDays = Math.min(totalDays, Math.max(0, Math.round((Date.parse(today) - start) / DAY_MS) + 1));
+  const projected = elapsedDays > 0 ? (actual / elapsedDays) * totalDays : 0;
+
+  return {
+    progress: target > 0 ? actual / target : 0,
+    projected,
+    onTrack: projected >= target,
+    elapsedDays,
+    totalDays
+  };
+}
@@ -0,0 +1,13 @@
+// Text matching shared by the server and the dashboard.
+
+// Case, accents and extra whitespace ignored, so "Juan  Dela Cruz" and
+// "juan dela cruz", or "Café Latte" and "cafe latte", compare equal. Used
+// for customer names, product names and the import's duplicate check.
+export function normalizeName(name = '') {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
@@ -0,0 +1,63 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { authFetch } from '../auth/session';
+import { apiUrl } from '../config';
+import { useAuth } from '../auth/useAuth';
+import { can } from '../shared/roles';
+import { ALL_STORES, StoreContext } from './useStore';
+
+const STORAGE_KEY = 'selectedStore';
+
+const StoreProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [stores, setStores] = useState([]);
+  const [storeId, setSelectedStore] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      setStores([]);
+      setSelectedStore(null);
+      return;
+    }
+
+    const loadStores = async () => {
+      try {
+        const res = await authFetch(apiUrl('/proxy/stores'));
+        const data = await res.json();
+        if (!res.ok || !data.success) {
+          throw new Error(data.error?.message || `Server error: ${res.status}`);
+        }
+
+        // Keep the last choice if it still exists and this role may use it
+        const saved = localStorage.getItem(STORAGE_KEY);
+        const canUseAll = data.stores.length > 1 && can(user.role, 'sales:read');
+        const isValid = data.stores.some((store) => store.id === saved) || (saved === ALL_STORES && canUseAll);
+        setStores(data.stores);
+        setSelectedStore(isValid ? saved : data.defaultStore);
+      } catch (err) {
+        console.error('❌ Error fetching stores:', err);
+      }
+    };
+
+    loadStores();
+  }, [user]);
+
+  const setStoreId = useCallback((id) => {
+    localStorage.setItem(STORAGE_KEY, id);
+    setSelectedStore(id);
+  }, []);
+
+  // API URL for `path` in the selected store, or in store `id`
+  const storeUrl = useCallback(
+    (path, id = storeId) => apiUrl(`/proxy/stores/${encodeURIComponent(id)}${path}`),
+    [storeId]
+  );
+
+  const value = useMemo(
+    () => ({ stores, storeId, setStoreId, storeUrl }),
+    [stores, storeId, setStoreId, storeUrl]
+  );
+
+  return <StoreContext.Provider value={value}>{children}</StoreContext.Provider>;
+};
+
+export default StoreProvider;
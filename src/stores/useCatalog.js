@@ -0,0 +1,10 @@
+import { useStoreResource } from './useStoreResource';
+
+const EMPTY = [];
+
+// The product catalog of store `storeId` (see GET /catalog), or an empty
+// list until loaded or when there is no store. Pass `version` to reload
+// after the catalog was saved.
+export function useCatalog(storeId, version = 0) {
+  return useStoreResource(storeId, '/catalog', 'catalog', EMPTY, version);
+}
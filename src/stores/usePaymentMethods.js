@@ -0,0 +1,8 @@
+import { PAYMENT_METHODS } from '../shared/saleSchema';
+import { useStoreResource } from './useStoreResource';
+
+// The payment methods store `storeId` accepts (see GET /payment-methods).
+// Falls back to the built-in list until loaded or when there is no store.
+export function usePaymentMethods(storeId) {
+  return useStoreResource(storeId, '/payment-methods', 'paymentMethods', PAYMENT_METHODS);
+}
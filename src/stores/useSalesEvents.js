@@ -0,0 +1,62 @@
+import { useEffect, useRef } from 'react';
+import { loadSession } from '../auth/session';
+import { useAuth } from '../auth/useAuth';
+import { useStore } from './useStore';
+
+// Bursts of events (an import, a customer merge) come in quick succession
+const SETTLE_DELAY = 500;
+
+// Calls `onChange(events)` when sales of store `storeId` change anywhere:
+// on another device, or in Notion itself (see GET /events). Events that
+// arrive close together are passed on as one batch. After a dropped
+// connection comes back `onChange([])` is called, since events may have
+// been missed in between.
+export function useSalesEvents(storeId, onChange) {
+  const { user } = useAuth();
+  const { storeUrl } = useStore();
+  const handler = useRef(onChange);
+
+  useEffect(() => {
+    handler.current = onChange;
+  });
+
+  useEffect(() => {
+    const session = loadSession();
+    if (!storeId || !user || !session || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(storeUrl(`/events?access_token=${encodeURIComponent(session.token)}`, storeId));
+    let pending = [];
+    let timer = null;
+    let hasOpened = false;
+
+    const flush = () => {
+      timer = null;
+      const batch = pending;
+      pending = [];
+      handler.current(batch);
+    };
+
+    source.addEventListener('sales', (event) => {
+      pending.push(JSON.parse(event.data));
+      timer = timer || setTimeout(flush, SETTLE_DELAY);
+    });
+    source.addEventListener('open', () => {
+      if (hasOpened) {
+        timer = timer || setTimeout(flush, SETTLE_DELAY);
+      }
+      hasOpened = true;
+    });
+    // EventSource reconnects by itself; it only gives up on an error
+    // response, e.g. an expired session
+    source.addEventListener('error', () => {
+      if (source.readyState === EventSource.CLOSED) {
+        console.error('❌ Live updates stopped');
+      }
+    });
+
+    return () => {
+      clearTimeout(timer);
+      source.close();
+    };
+  }, [storeId, storeUrl, user]);
+}
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+export const ALL_STORES = 'all';
+
+export const StoreContext = createContext(null);
+
+// { stores, storeId, setStoreId, storeUrl(path, id?) } from the nearest
+// StoreProvider. `storeId` is null until the store list has loaded, and
+// ALL_STORES for the combined read-only view.
+export function useStore() {
+  return useContext(StoreContext);
+}
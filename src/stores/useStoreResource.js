@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { authFetch } from '../auth/session';
+import { useStore } from './useStore';
+
+// Loads `data[key]` from GET `path` of store `storeId` and returns it, or
+// `fallback` until loaded, when there is no store or when the request
+// fails. `fallback` should be a constant so it keeps its identity between
+// renders. Pass a new `version` to load again.
+export function useStoreResource(storeId, path, key, fallback, version = 0) {
+  const { storeUrl } = useStore();
+  const [loaded, setLoaded] = useState({ storeId: null, value: fallback });
+
+  useEffect(() => {
+    if (!storeId) return;
+    let cancelled = false;
+
+    const loadResource = async () => {
+      try {
+        const res = await authFetch(storeUrl(path, storeId));
+        const data = await res.json();
+        if (!res.ok || !data.success) {
+          throw new Error(data.error?.message || `Server error: ${res.status}`);
+        }
+        if (!cancelled) {
+          setLoaded({ storeId, value: data[key] });
+        }
+      } catch (err) {
+        console.error(`❌ Error fetching ${path}:`, err);
+      }
+    };
+
+    loadResource();
+    return () => {
+      cancelled = true;
+    };
+  }, [storeId, storeUrl, path, key, version]);
+
+  return loaded.storeId === storeId ? loaded.value : fallback;
+}
@@ -0,0 +1,10 @@
+import { useStoreResource } from './useStoreResource';
+
+const EMPTY = [];
+
+// The sales targets of store `storeId` (see GET /targets), or an empty
+// list until loaded or when there is no store. Pass `version` to reload
+// after a target was saved.
+export function useTargets(storeId, version = 0) {
+  return useStoreResource(storeId, '/targets', 'targets', EMPTY, version);
+}
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { customerCountChanges, summarizeSales } from '../server/aggregate.js';
+
+const sale = (id, customerName, date, fields = {}) => ({ id, customerName, date, amount: 100, productName: 'Coffee', paymentMethod: 'Cash', ...fields });
+
+describe('summarizeSales', () => {
+  it('counts customers whose first purchase falls on or after `from` as new', () => {
+    const sales = [sale('1', 'Ana', '2025-05-02'), sale('2', 'Ben', '2025-05-03'), sale('3', 'ana', '2025-05-04')];
+    const summary = summarizeSales(sales, { 'name:ana': '2025-04-20', 'name:ben': '2025-05-03' }, { from: '2025-05-01' });
+
+    assert.deepEqual(summary, { revenue: 300, orders: 3, newCustomers: 1, customers: 2 });
+  });
+
+  it('leaves out cancelled orders', () => {
+    const summary = summarizeSales([sale('1', 'Ana', '2025-05-02', { status: 'cancelled' })]);
+
+    assert.deepEqual(summary, { revenue: 0, orders: 0, newCustomers: 0, customers: 0 });
+  });
+});
+
+describe('customerCountChanges', () => {
+  const options = { granularity: 'month', matches: () => true, current: { from: '2025-05-01', to: '2025-05-20' } };
+
+  it('counts a first-time customer as new in their period', () => {
+    const added = sale('2', 'Ben', '2025-05-10');
+    const changes = customerCountChanges([sale('1', 'Ana', '2025-05-02'), added], added, options);
+
+    assert.deepEqual(changes, {
+      series: [{ key: '2025-05-01', customers: 1, newCustomers: 1 }],
+      current: { customers: 1, newCustomers: 1 }
+    });
+  });
+
+  it('adds nothing for a customer buying again in the same period', () => {
+    const added = sale('2', 'ANA', '2025-05-10');
+    const changes = customerCountChanges([sale('1', 'Ana', '2025-05-02'), added], added, options);
+
+    assert.deepEqual(changes, { series: [], current: { customers: 0, newCustomers: 0 } });
+  });
+
+  it('moves "new" to the period of an earlier first purchase', () => {
+    const added = sale('2', 'Ana', '2025-03-15');
+    const changes = customerCountChanges([sale('1', 'Ana', '2025-05-02'), added], added, options);
+
+    assert.deepEqual(changes, {
+      series: [{ key: '2025-05-01', customers: 0, newCustomers: -1 }, { key: '2025-03-01', customers: 1, newCustomers: 1 }],
+      current: { customers: 0, newCustomers: -1 }
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { importSales } from '../server/importSales.js';
+
+// Just enough of a storage backend (see server/storage) for importSales
+function createFakeStorage(sales = []) {
+  const created = [];
+  return {
+    created,
+    async listSales() {
+      return sales;
+    },
+    async createSale(sale) {
+      const record = { id: `sale-${created.length + 1}`, ...sale };
+      created.push(record);
+      return record;
+    }
+  };
+}
+
+const row = (fields = {}) => ({
+  customerName: 'Juan Dela Cruz',
+  productName: 'Coffee',
+  amount: '120',
+  date: '2025-05-14',
+  paymentMethod: 'Cash',
+  ...fields
+});
+
+describe('importSales', () => {
+  it('skips rows matching an existing sale, ignoring case, accents and spacing', async () => {
+    const storage = createFakeStorage([
+      { id: 'old', customerName: 'Juan Dela Cruz', productName: 'Café Latte', amount: 120, date: '2025-05-14', paymentMethod: 'Cash' }
+    ]);
+    const report = await importSales(storage, [
+      row({ customerName: '  juan  dela cruz ', productName: 'CAFE LATTE', amount: '120.00' }),
+      row({ productName: 'Cafe Latte', amount: '121' })
+    ]);
+
+    assert.deepEqual(report.map((entry) => entry.status), ['duplicate', 'created']);
+    assert.equal(report[0].message, 'Matches a sale that already exists');
+    assert.equal(storage.created.length, 1);
+  });
+
+  it('skips a row repeating an earlier one in the same file', async () => {
+    const storage = createFakeStorage();
+    const report = await importSales(storage, [row(), row({ customerName: 'JUAN DELA CRUZ' }), row({ date: '2025-05-15' })]);
+
+    assert.deepEqual(report.map((entry) => entry.status), ['created', 'duplicate', 'created']);
+    assert.equal(report[1].message, 'Repeats an earlier row in this file');
+  });
+
+  it('imports duplicates when asked to', async () => {
+    const storage = createFakeStorage([{ id: 'old', ...row(), amount: 120 }]);
+    const report = await importSales(storage, [row(), row()], { skipDuplicates: false });
+
+    assert.deepEqual(report.map((entry) => entry.status), ['created', 'created']);
+  });
+
+  it('writes nothing on a dry run and reports invalid rows', async () => {
+    const storage = createFakeStorage();
+    const report = await importSales(storage, [row(), row({ amount: 'abc' })], { dryRun: true, firstRow: 2 });
+
+    assert.deepEqual(report.map(({ row: number, status }) => [number, status]), [[2, 'ready'], [3, 'invalid']]);
+    assert.ok(report[1].errors.amount);
+    assert.equal(storage.created.length, 0);
+  });
+});
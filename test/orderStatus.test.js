@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { isFinal, netAmount, nextStatuses, statusOf, validateStatusChange } from '../src/shared/orderStatus.js';
+
+describe('order status', () => {
+  it('treats missing and unknown statuses as completed', () => {
+    assert.equal(statusOf({}), 'completed');
+    assert.equal(statusOf({ status: ' Pending ' }), 'pending');
+    assert.equal(statusOf({ status: 'shipped' }), 'completed');
+  });
+
+  it('lists the statuses an order can move to', () => {
+    assert.deepEqual(nextStatuses({ status: 'pending' }), ['completed', 'cancelled']);
+    assert.deepEqual(nextStatuses({ status: 'completed' }), ['refunded']);
+    assert.equal(isFinal({ status: 'refunded' }), true);
+    assert.equal(isFinal({ status: 'cancelled' }), true);
+    assert.equal(isFinal({ status: 'pending' }), false);
+  });
+
+  it('allows the listed transitions', () => {
+    assert.deepEqual(validateStatusChange({ status: 'pending' }, { status: 'completed' }), { value: { status: 'completed' }, errors: {} });
+    assert.deepEqual(validateStatusChange({ status: 'pending' }, { status: 'cancelled' }), { value: { status: 'cancelled' }, errors: {} });
+    assert.deepEqual(
+      validateStatusChange({ status: 'completed', amount: 100 }, { status: 'refunded', refundedAmount: '40.50' }),
+      { value: { status: 'refunded', refundedAmount: 40.5 }, errors: {} }
+    );
+  });
+
+  it('refuses other transitions', () => {
+    assert.equal(validateStatusChange({ status: 'pending' }, { status: 'refunded', refundedAmount: 1 }).errors.status,
+      'A pending order can only become completed or cancelled');
+    assert.equal(validateStatusChange({ status: 'cancelled' }, { status: 'completed' }).errors.status,
+      "A cancelled order can't be changed");
+    assert.ok(validateStatusChange({ status: 'pending' }, { status: 'lost' }).errors.status);
+  });
+
+  it('checks the refunded amount', () => {
+    const sale = { status: 'completed', amount: 100 };
+    assert.ok(validateStatusChange(sale, { status: 'refunded' }).errors.refundedAmount);
+    assert.ok(validateStatusChange(sale, { status: 'refunded', refundedAmount: 0 }).errors.refundedAmount);
+    assert.ok(validateStatusChange(sale, { status: 'refunded', refundedAmount: 100.01 }).errors.refundedAmount);
+    assert.ok(validateStatusChange(sale, { status: 'refunded', refundedAmount: 1.234 }).errors.refundedAmount);
+    assert.ok(validateStatusChange({ status: 'pending' }, { status: 'completed', refundedAmount: 5 }).errors.refundedAmount);
+  });
+
+  it('nets out refunds and leaves out cancelled orders', () => {
+    assert.equal(netAmount({ amount: 100 }), 100);
+    assert.equal(netAmount({ amount: 100, status: 'refunded', refundedAmount: 40.5 }), 59.5);
+    assert.equal(netAmount({ amount: 100, status: 'cancelled' }), 0);
+  });
+});
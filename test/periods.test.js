@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { periodToDate, previousRange } from '../src/shared/periods.js';
+
+describe('periodToDate', () => {
+  it('compares a month so far with the same days of the month before', () => {
+    assert.deepEqual(periodToDate('2025-05-14', 'month'), {
+      current: { from: '2025-05-01', to: '2025-05-14' },
+      previous: { from: '2025-04-01', to: '2025-04-14' }
+    });
+  });
+
+  it('lands on the last day of a shorter month', () => {
+    assert.deepEqual(periodToDate('2025-03-31', 'month').previous, { from: '2025-02-01', to: '2025-02-28' });
+    assert.deepEqual(periodToDate('2024-02-29', 'year').previous, { from: '2023-01-01', to: '2023-02-28' });
+  });
+
+  it('shifts quarters by three calendar months', () => {
+    assert.deepEqual(periodToDate('2025-05-31', 'quarter'), {
+      current: { from: '2025-04-01', to: '2025-05-31' },
+      previous: { from: '2025-01-01', to: '2025-02-28' }
+    });
+  });
+
+  it('shifts days and weeks by days', () => {
+    assert.deepEqual(periodToDate('2025-01-01', 'day').previous, { from: '2024-12-31', to: '2024-12-31' });
+    assert.deepEqual(periodToDate('2025-05-14', 'week'), {
+      current: { from: '2025-05-12', to: '2025-05-14' },
+      previous: { from: '2025-05-05', to: '2025-05-07' }
+    });
+  });
+
+  it('starts both ranges at `since` when it falls inside the period', () => {
+    assert.deepEqual(periodToDate('2025-05-20', 'month', '2025-05-10'), {
+      current: { from: '2025-05-10', to: '2025-05-20' },
+      previous: { from: '2025-04-10', to: '2025-04-20' }
+    });
+    assert.equal(periodToDate('2025-05-20', 'month', '2025-04-01').current.from, '2025-05-01');
+  });
+});
+
+describe('previousRange', () => {
+  it('shifts whole calendar months by the same number of months', () => {
+    assert.deepEqual(previousRange('2025-04-01', '2025-06-30'), { from: '2025-01-01', to: '2025-03-31' });
+    assert.deepEqual(previousRange('2025-03-01', '2025-03-31'), { from: '2025-02-01', to: '2025-02-28' });
+    assert.deepEqual(previousRange('2024-01-01', '2024-12-31'), { from: '2023-01-01', to: '2023-12-31' });
+  });
+
+  it('shifts any other range by its length in days', () => {
+    assert.deepEqual(previousRange('2025-03-10', '2025-03-16'), { from: '2025-03-03', to: '2025-03-09' });
+    assert.deepEqual(previousRange('2025-03-01', '2025-03-15'), { from: '2025-02-14', to: '2025-02-28' });
+  });
+});